@@ -39,7 +39,6 @@ function calculateAccuracy(samples) {
 
   samples.forEach((sample, i) => {
     const result = normalizeText(sample.original);
-    console.log({ original: sample.original ,result, original_normalized: sample.normalized})
     const isCorrect = result === sample.normalized;
 
     if (isCorrect) {
@@ -0,0 +1,85 @@
+/**
+ * Approximate Numbers
+ *
+ * This module marks the numbers said with an approximation qualifier - the prefix
+ * "כ" ("כשלושים"), "בערך", "בסביבות" or "קרוב ל" - so that the qualifier is kept as
+ * it was said and only the number is normalized ("בערך שישים ושישה אחוזים" ->
+ * "בערך 66%", "קרוב לשלוש שעות" -> "קרוב ל-3 שעות").
+ *
+ * @module approximations
+ */
+
+const { PREFIX_LETTERS, formatPrefix } = require('./prefixes');
+
+// Words said before an approximate number ("בערך מאה", "ובסביבות שנת ...")
+const QUALIFIER_PATTERN = /^ו?(בערך|בסביבות)$/;
+
+// Word said before an approximate number with the prefix "ל" ("קרוב לשלושה")
+const CLOSE_TO_PATTERN = /^ו?קרוב$/;
+const CLOSE_TO = 'קרוב ל';
+
+/**
+ * Marks the expressions said with an approximation qualifier
+ *
+ * A qualifier word before an expression joins its span, and is written as it was
+ * said; the "כ" prefix is already part of the expression. Marked expressions get
+ * `class: 'approximation'` and a `value` of `{ qualifier, class, value }` that keeps
+ * the class and value of the number.
+ *
+ * @param {Array<Object>} expressions - The selected expressions, sorted by position
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {string} text - The text the tokens come from
+ * @param {string} [prefixStyle='mixed'] - The policy the prefixes were written with
+ * @returns {Array<Object>} The expressions, approximate ones marked
+ *
+ * @example
+ * // Returns [{ startIndex: 0, endIndex: 9, normalized: 'בערך 100', class: 'approximation',
+ * //   value: { qualifier: 'בערך', class: 'cardinal', value: 100 }, ... }]
+ * markApproximations([{ startIndex: 5, firstToken: 1, normalized: '100', ... }],
+ *   tokenizeWithOffsets('בערך מאה'), 'בערך מאה');
+ */
+function markApproximations(expressions, tokens, text, prefixStyle = 'mixed') {
+  // Normalized text of a number said with the prefix "כ" ("כ-30", "לכ-2.5"), but not
+  // with "כש" ("when")
+  const approximate = new RegExp(
+    `^[${PREFIX_LETTERS}]{0,2}${formatPrefix('כ', prefixStyle)}(?![א-ת])`,
+  );
+
+  return expressions.map((expression) => {
+    if (expression.normalized === null) {
+      return expression;
+    }
+
+    const previous = expression.firstToken > 0 ? tokens[expression.firstToken - 1] : null;
+    const word = previous && previous.text.match(QUALIFIER_PATTERN);
+    const closeTo = previous && CLOSE_TO_PATTERN.test(previous.text)
+      && expression.normalized.startsWith('ל');
+
+    if (word || closeTo) {
+      return {
+        ...expression,
+        startIndex: previous.start,
+        firstToken: expression.firstToken - 1,
+        normalized: text.substring(previous.start, expression.startIndex) + expression.normalized,
+        value: {
+          qualifier: word ? word[1] : CLOSE_TO,
+          class: expression.class,
+          value: expression.value,
+        },
+        class: 'approximation',
+      };
+    }
+    if (approximate.test(expression.normalized)) {
+      return {
+        ...expression,
+        value: { qualifier: 'כ', class: expression.class, value: expression.value },
+        class: 'approximation',
+      };
+    }
+    return expression;
+  });
+}
+
+module.exports = {
+  markApproximations,
+};
@@ -0,0 +1,73 @@
+/**
+ * Bank Account Numbers
+ *
+ * This module recognizes bank account numbers dictated after a cue such as "מספר
+ * חשבון" or "חשבון הבנק", in digits or groups ("שלוש ארבע, חמש שש שבע, שמונה"),
+ * and writes them as a single string of digits ("3456678").
+ *
+ * @module bankAccounts
+ */
+
+const { formatPrefix, getPrefixStyle } = require('./prefixes');
+const { readDigitGroups } = require('./digitSequences');
+
+// Shortest and longest account numbers
+const MIN_ACCOUNT_DIGITS = 6;
+const MAX_ACCOUNT_DIGITS = 9;
+
+// Words that show the next number is an account number ("בחשבון", "חשבון הבנק")
+const ACCOUNT_CUE_PATTERN = /^[ובלמהש]{0,2}חשבון$/;
+
+// How many words before a number are searched for an account cue
+const CUE_WINDOW = 4;
+
+/**
+ * Finds bank account numbers in a tokenized text
+ *
+ * An account number is six to nine digits, dictated within a few words of an
+ * account cue. Amounts said after the cue ("החשבון יצא מאתיים שקלים") are too short
+ * to be taken for an account.
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options
+ * @returns {Array<Object>} Account expressions with `class: 'account'` and the digits
+ * as a string `value`
+ *
+ * @example
+ * // Returns [{ original: 'שלוש ארבע חמש שש שבע שמונה', normalized: '345678', ... }]
+ * findBankAccountExpressions(tokenizeWithOffsets('חשבון מספר שלוש ארבע ...'), cardinals);
+ */
+function findBankAccountExpressions(tokens, cardinals, options = {}) {
+  const prefixStyle = getPrefixStyle(options);
+  const cardinalsByToken = new Map(cardinals.map((cardinal) => [cardinal.firstToken, cardinal]));
+  const expressions = [];
+
+  tokens.forEach((token, index) => {
+    const cued = tokens.slice(Math.max(0, index - CUE_WINDOW), index)
+      .some((previous) => ACCOUNT_CUE_PATTERN.test(previous.text));
+    const account = cued && readDigitGroups(tokens, index, cardinalsByToken, MAX_ACCOUNT_DIGITS);
+    const digits = account && account.groups.map((group) => group.digits).join('');
+    if (!digits || digits.length < MIN_ACCOUNT_DIGITS || digits.length > MAX_ACCOUNT_DIGITS) {
+      return;
+    }
+
+    const { lastToken } = account.groups[account.groups.length - 1];
+    expressions.push({
+      startIndex: token.start,
+      endIndex: tokens[lastToken].end,
+      firstToken: index,
+      lastToken,
+      original: tokens.slice(index, lastToken + 1).map((t) => t.text).join(' '),
+      normalized: formatPrefix(account.prefix, prefixStyle) + digits,
+      value: digits,
+      class: 'account',
+    });
+  });
+
+  return expressions;
+}
+
+module.exports = {
+  findBankAccountExpressions,
+};
@@ -0,0 +1,176 @@
+/**
+ * Payment Card Numbers
+ *
+ * This module recognizes credit card numbers dictated in digits or groups ("ארבע
+ * חמש שמונה אפס, אחת שתיים שלוש ארבע, ...") after a cue such as "כרטיס" or, without
+ * one, when they pass the Luhn check, and the security codes (CVV) said after a cue
+ * such as "קוד אבטחה". Cards are written in groups of four digits ("4580-1234-5678-9015").
+ *
+ * @module cards
+ */
+
+const { formatPrefix, getPrefixStyle } = require('./prefixes');
+const { readDigitGroups } = require('./digitSequences');
+
+// Shortest and longest card numbers
+const MIN_CARD_DIGITS = 13;
+const MAX_CARD_DIGITS = 19;
+
+// Size of the groups a card number is written in
+const CARD_GROUP_SIZE = 4;
+
+// Words that show the next number is a card number ("מספר הכרטיס", "כרטיס אשראי")
+const CARD_CUE_PATTERN = /^[ובלמהש]{0,2}(כרטיס|אשראי)$/;
+
+// Words that show the next number is a card security code ("קוד האבטחה", "CVV")
+const CVV_CUE_PATTERN = /^([ובלמהש]{0,2}(אבטחה|האבטחה)|CVV|cvv|סי-וי-וי)$/;
+
+// How many words before a number are searched for a card or security code cue
+const CUE_WINDOW = 4;
+
+// Number of digits in a security code
+const CVV_LENGTHS = [3, 4];
+
+/**
+ * Validates a card number with the Luhn algorithm
+ *
+ * @param {string} digits - The digits of the card number
+ * @returns {boolean} True if the check digit is correct
+ *
+ * @example
+ * // Returns true
+ * isValidCardNumber('4580123456789015');
+ */
+function isValidCardNumber(digits) {
+  if (!/^\d+$/.test(digits)) {
+    return false;
+  }
+
+  const total = [...digits].reverse().reduce((sum, digit, position) => {
+    const product = Number(digit) * (position % 2 === 0 ? 1 : 2);
+    return sum + (product > 9 ? product - 9 : product);
+  }, 0);
+  return total % 10 === 0;
+}
+
+/**
+ * Writes card digits in groups of four
+ *
+ * @param {string} digits - The digits of the card number
+ * @returns {string} The grouped digits
+ * @private
+ */
+function groupCardDigits(digits) {
+  return digits.match(new RegExp(`\\d{1,${CARD_GROUP_SIZE}}`, 'g')).join('-');
+}
+
+/**
+ * Finds credit card numbers in a tokenized text
+ *
+ * The groups of a dictated number are read one after the other, and the longest
+ * run of 13 to 19 digits is taken as a card number. After a card cue the run is
+ * taken whatever its check digit, so that a number with a misheard digit is still
+ * redacted; without a cue the run must pass the Luhn check.
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options
+ * @returns {Array<Object>} Card expressions with `class: 'card'` and the digits as a
+ * string `value`
+ *
+ * @example
+ * // Returns [{ original: 'ארבע חמש שמונה אפס, ...', normalized: '4580-1234-5678-9015', ... }]
+ * findCardExpressions(tokens, cardinals);
+ */
+function findCardExpressions(tokens, cardinals, options = {}) {
+  const prefixStyle = getPrefixStyle(options);
+  const cardinalsByToken = new Map(cardinals.map((cardinal) => [cardinal.firstToken, cardinal]));
+  const expressions = [];
+
+  let index = 0;
+  while (index < tokens.length) {
+    const number = readDigitGroups(tokens, index, cardinalsByToken, MAX_CARD_DIGITS);
+    const cued = tokens.slice(Math.max(0, index - CUE_WINDOW), index)
+      .some((previous) => CARD_CUE_PATTERN.test(previous.text));
+
+    let card = null;
+    let digits = '';
+    (number ? number.groups : []).forEach(({ digits: group, lastToken }) => {
+      digits += group;
+      if (digits.length >= MIN_CARD_DIGITS && digits.length <= MAX_CARD_DIGITS
+        && (cued || isValidCardNumber(digits))) {
+        card = { digits, lastToken };
+      }
+    });
+
+    if (card) {
+      expressions.push({
+        startIndex: tokens[index].start,
+        endIndex: tokens[card.lastToken].end,
+        firstToken: index,
+        lastToken: card.lastToken,
+        original: tokens.slice(index, card.lastToken + 1).map((token) => token.text).join(' '),
+        normalized: formatPrefix(number.prefix, prefixStyle) + groupCardDigits(card.digits),
+        value: card.digits,
+        class: 'card',
+      });
+      index = card.lastToken + 1;
+    } else {
+      index += 1;
+    }
+  }
+
+  return expressions;
+}
+
+/**
+ * Finds card security codes in a tokenized text
+ *
+ * A security code is three or four digits following a cue such as "קוד אבטחה" or
+ * "CVV" within a few words.
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options
+ * @returns {Array<Object>} Security code expressions with `class: 'cvv'` and the
+ * digits as a string `value`
+ *
+ * @example
+ * // Returns [{ original: 'שבע אחת תשע', normalized: '719', value: '719', class: 'cvv', ... }]
+ * findCvvExpressions(tokenizeWithOffsets('קוד האבטחה הוא שבע אחת תשע'), cardinals);
+ */
+function findCvvExpressions(tokens, cardinals, options = {}) {
+  const prefixStyle = getPrefixStyle(options);
+  const cardinalsByToken = new Map(cardinals.map((cardinal) => [cardinal.firstToken, cardinal]));
+  const expressions = [];
+
+  tokens.forEach((token, index) => {
+    const cued = tokens.slice(Math.max(0, index - CUE_WINDOW), index)
+      .some((previous) => CVV_CUE_PATTERN.test(previous.text));
+    const code = cued && readDigitGroups(tokens, index, cardinalsByToken, Math.max(...CVV_LENGTHS));
+    const digits = code && code.groups.map((group) => group.digits).join('');
+    if (!digits || !CVV_LENGTHS.includes(digits.length)) {
+      return;
+    }
+
+    const { lastToken } = code.groups[code.groups.length - 1];
+    expressions.push({
+      startIndex: token.start,
+      endIndex: tokens[lastToken].end,
+      firstToken: index,
+      lastToken,
+      original: tokens.slice(index, lastToken + 1).map((t) => t.text).join(' '),
+      normalized: formatPrefix(code.prefix, prefixStyle) + digits,
+      value: digits,
+      class: 'cvv',
+    });
+  });
+
+  return expressions;
+}
+
+module.exports = {
+  findCardExpressions,
+  findCvvExpressions,
+  isValidCardNumber,
+};
@@ -0,0 +1,343 @@
+/**
+ * Hebrew Dates
+ *
+ * This module recognizes spoken dates in Hebrew text ("בעשרים ושלושה במרץ
+ * אלפיים עשרים וארבע", "שלושה לחודש", "ה-1 בינואר", "חמישה בשישה") and renders
+ * them with digits, either keeping the month name ("ב-23 במרץ 2024") or fully
+ * numeric ("ב-23.3.2024").
+ *
+ * @module dates
+ */
+
+const { ORDINAL_NUMBERS } = require('./hebrewNumberData');
+const { formatPrefix, getPrefixStyle } = require('./prefixes');
+const { formatYear } = require('./numberFormat');
+const { findNumberExpressions } = require('./numberRecognizer');
+
+// Supported output formats: "23 במרץ 2024" or "23.3.2024"
+const DATE_FORMATS = ['words', 'numeric'];
+
+// Month names, in calendar order
+const MONTH_NAMES = [
+  'ינואר', 'פברואר', 'מרץ', 'אפריל', 'מאי', 'יוני',
+  'יולי', 'אוגוסט', 'ספטמבר', 'אוקטובר', 'נובמבר', 'דצמבר',
+];
+
+// Month numbers by name, including spelling variants
+const MONTHS = MONTH_NAMES.reduce((months, name, index) => ({ ...months, [name]: index + 1 }), {
+  מרס: 3,
+});
+
+// Longest day of each month, allowing for leap years
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Proclitic letters that may be attached to a month name ("במרץ", "ועד מרץ" is not handled)
+const MONTH_PREFIX_LETTERS = 'ובלמ';
+
+// Words that make a day of the month out of the preceding number ("שלושה לחודש")
+const DAY_OF_MONTH_WORDS = new Set(['לחודש']);
+
+// Words after which "X בY" is read as a day and a numeric month ("בתאריך חמישה בשישה",
+// "תור ליום חמישה בשישה")
+const NUMERIC_DATE_CUES = new Set([
+  'תאריך', 'התאריך', 'בתאריך', 'לתאריך', 'מתאריך', 'עד', 'יום', 'ביום', 'ליום', 'מיום',
+]);
+
+/**
+ * Splits a word into its proclitic prefix and month number
+ *
+ * @param {string} word - The word as it appears in the text
+ * @returns {{prefix: string, month: number}|null} The split word, or null if it is
+ * not a month name
+ * @private
+ */
+function splitMonthWord(word) {
+  for (let length = 0; length <= 2 && length < word.length; length += 1) {
+    const prefix = word.slice(0, length);
+    const month = MONTHS[word.slice(length)];
+
+    if (month && [...prefix].every((letter) => MONTH_PREFIX_LETTERS.includes(letter))) {
+      return { prefix, month };
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the day of the month starting at a token
+ *
+ * The day is either a spelled-out cardinal ("בעשרים ושלושה"), a definite ordinal
+ * ("הראשון") or digits ("ה-1").
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token of the day
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @returns {{prefix: string, value: number, lastToken: number}|null} The day, or null
+ * @private
+ */
+function readDay(tokens, index, cardinalsByToken) {
+  const cardinal = cardinalsByToken.get(index);
+  if (cardinal) {
+    return { prefix: cardinal.prefix, value: cardinal.value, lastToken: cardinal.lastToken };
+  }
+
+  const digits = tokens[index].text.match(/^([ובלמה]{0,2})-?(\d{1,2})$/);
+  if (digits) {
+    return { prefix: digits[1], value: Number(digits[2]), lastToken: index };
+  }
+
+  const ordinal = tokens[index].text.match(/^([ובלמ]?ה)(.+)$/);
+  if (ordinal && ORDINAL_NUMBERS[ordinal[2]] !== undefined) {
+    return { prefix: ordinal[1], value: ORDINAL_NUMBERS[ordinal[2]], lastToken: index };
+  }
+
+  return null;
+}
+
+/**
+ * Reads a year following a month, optionally after a comma
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the token after the month
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @returns {{value: number, comma: boolean, firstToken: number, lastToken: number}|null}
+ * The year, or null
+ * @private
+ */
+function readYear(tokens, index, cardinalsByToken) {
+  const comma = index < tokens.length && tokens[index].text === ',';
+  const first = comma ? index + 1 : index;
+  if (first >= tokens.length) {
+    return null;
+  }
+
+  const cardinal = cardinalsByToken.get(first);
+  if (cardinal && !cardinal.prefix && cardinal.value >= 1000 && cardinal.value < 3000) {
+    return {
+      value: cardinal.value, comma, firstToken: first, lastToken: cardinal.lastToken,
+    };
+  }
+
+  if (/^[12]\d{3}$/.test(tokens[first].text)) {
+    return {
+      value: Number(tokens[first].text), comma, firstToken: first, lastToken: first,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Splits a numeric month off the year it ran into ("בשישה אלפיים עשרים וחמש")
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {Object} cardinal - The cardinal expression holding the month and the year
+ * @returns {{month: number, word: string, lastToken: number, year: Object}|null} The
+ * month with the year that follows it, or null if the cardinal does not split
+ * @private
+ */
+function splitMonthFromYear(tokens, cardinal) {
+  const { firstToken, lastToken } = cardinal;
+  for (let end = firstToken + 1; end <= lastToken; end += 1) {
+    const months = findNumberExpressions(tokens.slice(firstToken, end));
+    const years = findNumberExpressions(tokens.slice(end, lastToken + 1));
+    const [month] = months;
+    const [year] = years;
+
+    const isMonth = months.length === 1 && month.lastToken === end - firstToken - 1
+      && month.value >= 1 && month.value <= 12;
+    const isYear = years.length === 1 && year.firstToken === 0
+      && year.lastToken === lastToken - end && !year.prefix
+      && year.value >= 1000 && year.value < 3000;
+    if (isMonth && isYear) {
+      return {
+        month: month.value,
+        word: `ב${MONTH_NAMES[month.value - 1]}`,
+        lastToken: end - 1,
+        year: {
+          value: year.value, comma: false, firstToken: end, lastToken,
+        },
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the month following a day
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the token after the day
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @returns {{month: number|null, word: string, lastToken: number, named?: boolean,
+ * year?: Object}|null} The month (null for "לחודש") with the text to render it, and
+ * the year when it was read together with the month, or null
+ * @private
+ */
+function readMonth(tokens, index, cardinalsByToken) {
+  if (index >= tokens.length) {
+    return null;
+  }
+
+  const { text } = tokens[index];
+  if (DAY_OF_MONTH_WORDS.has(text)) {
+    return { month: null, word: text, lastToken: index };
+  }
+
+  const named = splitMonthWord(text);
+  if (named) {
+    return {
+      month: named.month, word: text, lastToken: index, named: true,
+    };
+  }
+
+  // "חמישה בשישה" - the month as a number
+  const cardinal = cardinalsByToken.get(index);
+  if (cardinal && cardinal.prefix === 'ב'
+    && cardinal.value >= 1 && cardinal.value <= 12) {
+    return {
+      month: cardinal.value,
+      word: `ב${MONTH_NAMES[cardinal.value - 1]}`,
+      lastToken: cardinal.lastToken,
+    };
+  }
+
+  // "בשישה אלפיים עשרים וחמש" - the month was read together with the year
+  if (cardinal && cardinal.prefix === 'ב' && cardinal.value > 12) {
+    return splitMonthFromYear(tokens, cardinal);
+  }
+
+  return null;
+}
+
+/**
+ * Renders a date in the requested format
+ *
+ * @param {Object} date - The date parts
+ * @param {string} format - One of `DATE_FORMATS`
+ * @param {string} prefixStyle - One of `PREFIX_STYLES`
+ * @returns {string} The rendered date
+ * @private
+ */
+function renderDate(date, format, prefixStyle) {
+  const prefix = formatPrefix(date.prefix, prefixStyle);
+
+  if (date.month === null || format === 'words') {
+    const year = date.year ? `${date.comma ? ',' : ''} ${formatYear(date.year)}` : '';
+    return `${prefix}${date.day} ${date.monthWord}${year}`;
+  }
+
+  const year = date.year ? `.${formatYear(date.year)}` : '';
+  return `${prefix}${date.day}.${date.month}${year}`;
+}
+
+/**
+ * Finds date expressions in a tokenized text
+ *
+ * A date is a day of the month followed by a month name ("בתשעה בנובמבר"), by
+ * "לחודש", or - after a date cue such as "בתאריך", or when a year follows - by
+ * a spelled-out month number ("חמישה בשישה"). An optional year completes it.
+ * Without a cue or a year, a day and a month number are kept in words
+ * (`normalized: null`) rather than read as two numbers ("5 ב-6").
+ * A year right after a month name without a day ("במאי, אלפיים עשרים ושש") is
+ * reported too, so that it is written without a thousands separator.
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.dateFormat='words'] - "words" ("23 במרץ 2024") or
+ * "numeric" ("23.3.2024")
+ * @returns {Array<Object>} Date expressions with `class: 'date'` and a `value` of
+ * `{ day, month, year }`
+ *
+ * @example
+ * // Returns [{ original: 'בעשרים ושלושה במרץ', normalized: 'ב-23.3', ... }]
+ * findDateExpressions(tokens, cardinals, { dateFormat: 'numeric' });
+ */
+function findDateExpressions(tokens, cardinals, options = {}) {
+  const format = options.dateFormat || 'words';
+  if (!DATE_FORMATS.includes(format)) {
+    throw new Error(`Unknown date format "${format}". Expected one of: ${DATE_FORMATS.join(', ')}`);
+  }
+  const prefixStyle = getPrefixStyle(options);
+
+  const cardinalsByToken = new Map(cardinals.map((cardinal) => [cardinal.firstToken, cardinal]));
+  const expressions = [];
+  const addExpression = (firstToken, lastToken, normalized, value) => {
+    expressions.push({
+      startIndex: tokens[firstToken].start,
+      endIndex: tokens[lastToken].end,
+      firstToken,
+      lastToken,
+      original: tokens.slice(firstToken, lastToken + 1).map((token) => token.text).join(' '),
+      normalized,
+      value,
+      class: 'date',
+    });
+  };
+
+  tokens.forEach((token, index) => {
+    // "במאי, אלפיים עשרים ושש" - a year after a month name
+    if (splitMonthWord(token.text)) {
+      const year = readYear(tokens, index + 1, cardinalsByToken);
+      if (year && cardinalsByToken.has(year.firstToken)) {
+        addExpression(year.firstToken, year.lastToken, formatYear(year.value), {
+          day: null, month: splitMonthWord(token.text).month, year: year.value,
+        });
+      }
+      return;
+    }
+
+    const day = readDay(tokens, index, cardinalsByToken);
+    if (!day || day.value < 1 || day.value > 31) {
+      return;
+    }
+
+    // A numeric month needs a cue, a prefix on the day or a year to be read as a date
+    const previous = index > 0 ? tokens[index - 1].text : '';
+    const numericCue = NUMERIC_DATE_CUES.has(previous) || day.prefix !== '';
+    const month = readMonth(tokens, day.lastToken + 1, cardinalsByToken);
+    if (!month || (month.month !== null && day.value > DAYS_IN_MONTH[month.month - 1])) {
+      return;
+    }
+
+    const year = month.year || (month.month !== null
+      ? readYear(tokens, month.lastToken + 1, cardinalsByToken)
+      : null);
+    if (month.month !== null && !month.named && !numericCue && !year) {
+      addExpression(index, month.lastToken, null, {
+        day: day.value, month: month.month, year: null,
+      });
+      return;
+    }
+
+    // Only dates with something spelled out are rewritten
+    const lastToken = year ? year.lastToken : month.lastToken;
+    const spelled = cardinalsByToken.has(index)
+      || !/\d/.test(token.text)
+      || (year && cardinalsByToken.has(year.firstToken));
+    if (!spelled && format === 'words') {
+      return;
+    }
+
+    const date = {
+      prefix: day.prefix,
+      day: day.value,
+      month: month.month,
+      monthWord: month.word,
+      year: year ? year.value : null,
+      comma: year ? year.comma : false,
+    };
+    addExpression(index, lastToken, renderDate(date, format, prefixStyle), {
+      day: date.day, month: date.month, year: date.year,
+    });
+  });
+
+  return expressions;
+}
+
+module.exports = {
+  DATE_FORMATS,
+  MONTH_NAMES,
+  findDateExpressions,
+};
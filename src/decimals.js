@@ -0,0 +1,136 @@
+/**
+ * Hebrew Decimal Numbers
+ *
+ * This module recognizes decimal numbers in Hebrew text, said with a decimal
+ * point ("שלוש נקודה ארבע עשרה", "אפס נקודה חמש", "שתיים נקודה אפס שבע") or
+ * with a fraction in tenths, hundredths or thousandths ("שלוש ושבע עשיריות"),
+ * and writes them with digits ("3.14", "0.5", "2.07", "3.7").
+ *
+ * @module decimals
+ */
+
+const { DECIMAL_POINT, ZERO, parseDecimalExpression } = require('./numberConverter');
+const { formatNumber, getNumberFormat } = require('./numberFormat');
+const { formatPrefix, getPrefixStyle, splitPrefix } = require('./prefixes');
+
+// Fraction words and the number of decimal places they stand for
+const FRACTION_PLACES = {
+  עשירית: 1, עשיריות: 1, מאית: 2, מאיות: 2, אלפית: 3, אלפיות: 3,
+};
+
+/**
+ * Reads a decimal number starting at a token
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @returns {{prefix: string, whole: number, fraction: string, lastToken: number}|null}
+ * The decimal number, or null if none starts at this token
+ *
+ * @example
+ * // Returns { prefix: 'ל', whole: 3, fraction: '2', lastToken: 2 }
+ * readDecimal(tokenizeWithOffsets('לשלוש נקודה שתיים'), 0, cardinalsByToken);
+ */
+function readDecimal(tokens, index, cardinalsByToken) {
+  const cardinal = cardinalsByToken.get(index);
+  const zero = !cardinal && splitPrefix(tokens[index].text, (stem) => stem === ZERO);
+  if (!cardinal && !zero) {
+    return null;
+  }
+
+  const prefix = cardinal ? cardinal.prefix : zero.prefix;
+  const words = cardinal ? [...cardinal.tokens] : [ZERO];
+  let next = cardinal ? cardinal.lastToken + 1 : index + 1;
+
+  // "שלוש ושבע עשיריות"
+  const part = cardinal && cardinalsByToken.get(next);
+  const places = part && tokens[part.lastToken + 1]
+    && FRACTION_PLACES[tokens[part.lastToken + 1].text];
+  if (places && part.prefix === 'ו' && part.value < 10 ** places) {
+    return {
+      prefix,
+      whole: cardinal.value,
+      fraction: `${part.value}`.padStart(places, '0'),
+      lastToken: part.lastToken + 1,
+    };
+  }
+
+  // "שלוש נקודה ארבע עשרה" - the digits are zeros and numbers without a prefix
+  if (!tokens[next] || tokens[next].text !== DECIMAL_POINT) {
+    return null;
+  }
+  words.push(DECIMAL_POINT);
+  next += 1;
+
+  let lastToken = -1;
+  while (next < tokens.length) {
+    const digits = cardinalsByToken.get(next);
+    if (tokens[next].text === ZERO) {
+      words.push(ZERO);
+      lastToken = next;
+    } else if (digits && !digits.prefix) {
+      words.push(...digits.tokens);
+      lastToken = digits.lastToken;
+    } else {
+      break;
+    }
+    next = lastToken + 1;
+  }
+
+  if (lastToken === -1) {
+    return null;
+  }
+
+  try {
+    return { prefix, ...parseDecimalExpression(words), lastToken };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Finds decimal numbers in a tokenized text
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options, with the number format of
+ * `getNumberFormat`
+ * @param {string} [options.decimalSeparator='.'] - "." ("3.14") or "," ("3,14")
+ * @returns {Array<Object>} Decimal expressions with `class: 'decimal'`
+ *
+ * @example
+ * // Returns [{ original: 'שתיים נקודה אפס שבע', normalized: '2.07', value: 2.07, ... }]
+ * findDecimalExpressions(tokens, cardinals);
+ */
+function findDecimalExpressions(tokens, cardinals, options = {}) {
+  const format = getNumberFormat(options);
+  const prefixStyle = getPrefixStyle(options);
+  const cardinalsByToken = new Map(cardinals.map((cardinal) => [cardinal.firstToken, cardinal]));
+  const expressions = [];
+
+  tokens.forEach((token, index) => {
+    const decimal = readDecimal(tokens, index, cardinalsByToken);
+    if (!decimal) {
+      return;
+    }
+
+    expressions.push({
+      startIndex: token.start,
+      endIndex: tokens[decimal.lastToken].end,
+      firstToken: index,
+      lastToken: decimal.lastToken,
+      original: tokens.slice(index, decimal.lastToken + 1).map((t) => t.text).join(' '),
+      normalized: formatPrefix(decimal.prefix, prefixStyle)
+        + formatNumber(decimal.whole, decimal.fraction, format),
+      value: Number(`${decimal.whole}.${decimal.fraction}`),
+      class: 'decimal',
+    });
+  });
+
+  return expressions;
+}
+
+module.exports = {
+  findDecimalExpressions,
+  readDecimal,
+};
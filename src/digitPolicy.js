@@ -0,0 +1,181 @@
+/**
+ * Small Number Policy
+ *
+ * Editorial style often keeps small counts spelled out in prose ("קניתי שלושה
+ * ספרים") while measurements, amounts and dates are always written with digits.
+ * This module decides which plain cardinals stay as words, according to the
+ * policy of the call:
+ *
+ * - "always" converts every number (the default)
+ * - "never-below:N" keeps every count below N as words
+ * - "style-guide" keeps counts of one to ten as words, unless they carry a unit
+ *   ("שלושה מטרים"), are part of a list of numbers ("שלושה או ארבעה") or share a
+ *   sentence with a larger number ("שלושה ילדים ושנים עשר נכדים")
+ *
+ * @module digitPolicy
+ */
+
+// Pattern of the policies that keep the counts below a given number ("never-below:10")
+const NEVER_BELOW_PATTERN = /^never-below:([1-9]\d*)$/;
+
+// Supported policies, for error messages
+const DIGIT_POLICIES = ['always', 'never-below:N', 'style-guide'];
+
+// Largest count the style guide keeps as words
+const STYLE_GUIDE_LIMIT = 10;
+
+// Units of measurement after which a count is always written with digits
+const MEASUREMENT_UNITS = new Set([
+  'מטר', 'מטרים', 'מ\'', 'סנטימטר', 'סנטימטרים', 'ס"מ', 'מילימטר', 'מילימטרים', 'מ"מ',
+  'קילומטר', 'קילומטרים', 'ק"מ', 'קמ"ש', 'גרם', 'גרמים', 'קילוגרם', 'קילוגרמים', 'ק"ג',
+  'קילו', 'טון', 'ליטר', 'ליטרים', 'מ"ל', 'מעלה', 'מעלות', 'אינץ\'', 'קלוריות',
+]);
+
+// Words that join the numbers of a list ("שלושה, ארבעה או חמישה")
+const LIST_CONNECTORS = new Set([',', 'או', 'עד', 'ו']);
+
+// Tokens that end a sentence
+const SENTENCE_END_PATTERN = /^[.!?]+$/;
+
+/**
+ * Parses the small number policy selected by the normalization options
+ *
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.digitPolicy='always'] - One of `DIGIT_POLICIES`
+ * @returns {{mode: string, below: number}} The policy, with the counts below
+ * `below` kept as words unless the mode makes an exception for them
+ * @throws {Error} If the policy is not supported
+ */
+function getDigitPolicy(options = {}) {
+  const policy = options.digitPolicy || 'always';
+  if (policy === 'always') {
+    return { mode: policy, below: 0 };
+  }
+  if (policy === 'style-guide') {
+    return { mode: policy, below: STYLE_GUIDE_LIMIT + 1 };
+  }
+
+  const neverBelow = policy.match(NEVER_BELOW_PATTERN);
+  if (!neverBelow) {
+    throw new Error(`Unknown digit policy "${policy}". Expected one of: ${DIGIT_POLICIES.join(', ')}`);
+  }
+  return { mode: 'never-below', below: Number(neverBelow[1]) };
+}
+
+/**
+ * Returns the value of a plain count, or null for every other expression
+ *
+ * @param {Object} expression - A selected expression
+ * @returns {number|null} The value of a cardinal, approximate or not
+ * @private
+ */
+function countValue(expression) {
+  if (expression.class === 'cardinal') {
+    return expression.value;
+  }
+  if (expression.class === 'approximation' && expression.value.class === 'cardinal') {
+    return expression.value.value;
+  }
+  return null;
+}
+
+/**
+ * Checks whether the tokens between two numbers only join them into a list
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} from - Index of the first token after the first number
+ * @param {number} to - Index of the first token of the second number
+ * @returns {boolean} True if at most one connector separates the numbers
+ * @private
+ */
+function isListGap(tokens, from, to) {
+  return from <= to && to - from <= 1
+    && tokens.slice(from, to).every((token) => LIST_CONNECTORS.has(token.text));
+}
+
+/**
+ * Finds the tokens of the sentences that hold a number above the style guide limit
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {Array<Object>} expressions - The selected expressions
+ * @returns {Set<number>} Indexes of every token of those sentences
+ * @private
+ */
+function findTokensNearLargeNumbers(tokens, expressions) {
+  const large = new Set(tokens
+    .map((token, index) => (/^\d+$/.test(token.text) && Number(token.text) > STYLE_GUIDE_LIMIT
+      ? index : -1))
+    .filter((index) => index >= 0));
+  expressions.forEach((expression) => {
+    if (countValue(expression) > STYLE_GUIDE_LIMIT) {
+      large.add(expression.firstToken);
+    }
+  });
+
+  const near = new Set();
+  let sentence = [];
+  tokens.forEach((token, index) => {
+    sentence.push(index);
+    if (SENTENCE_END_PATTERN.test(token.text) || index === tokens.length - 1) {
+      if (sentence.some((position) => large.has(position))) {
+        sentence.forEach((position) => near.add(position));
+      }
+      sentence = [];
+    }
+  });
+  return near;
+}
+
+/**
+ * Keeps the small counts that the policy leaves as words
+ *
+ * Only cardinals are affected: measurements, money, dates, times and every other
+ * class are always written with digits. Kept expressions get `normalized: null`.
+ *
+ * @param {Array<Object>} expressions - The selected expressions, sorted by position
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.digitPolicy='always'] - "always", "never-below:N" or
+ * "style-guide"
+ * @returns {Array<Object>} The expressions, kept counts marked
+ *
+ * @example
+ * // Returns [{ original: 'שלושה', normalized: null, value: 3, ... }]
+ * applyDigitPolicy(expressions, tokenizeWithOffsets('קניתי שלושה ספרים'),
+ *   { digitPolicy: 'style-guide' });
+ */
+function applyDigitPolicy(expressions, tokens, options = {}) {
+  const { mode, below } = getDigitPolicy(options);
+  if (mode === 'always') {
+    return expressions;
+  }
+
+  const converted = expressions.filter((expression) => expression.normalized !== null);
+  const nearLarge = mode === 'style-guide' ? findTokensNearLargeNumbers(tokens, converted) : null;
+
+  return expressions.map((expression) => {
+    const value = countValue(expression);
+    if (expression.normalized === null || value === null || value >= below) {
+      return expression;
+    }
+
+    if (mode === 'style-guide') {
+      const next = tokens[expression.lastToken + 1];
+      const inList = converted.some((other) => other !== expression
+        && (isListGap(tokens, expression.lastToken + 1, other.firstToken)
+          || isListGap(tokens, other.lastToken + 1, expression.firstToken)));
+      if ((next && MEASUREMENT_UNITS.has(next.text)) || inList
+        || nearLarge.has(expression.firstToken)) {
+        return expression;
+      }
+    }
+
+    return { ...expression, normalized: null };
+  });
+}
+
+module.exports = {
+  DIGIT_POLICIES,
+  applyDigitPolicy,
+  getDigitPolicy,
+};
@@ -0,0 +1,257 @@
+/**
+ * Hebrew Digit Sequences
+ *
+ * This module recognizes numbers said digit by digit ("אפס חמש ארבע, שבע שש שש",
+ * "תשע-שמונה-אפס-שבע") - the way phone numbers, order numbers and extensions are
+ * read out - and writes the digits as they were said ("054-766", "9807") instead
+ * of reading the words as separate cardinals.
+ *
+ * @module digitSequences
+ */
+
+const { HEBREW_NUMBER_WORDS } = require('./hebrewNumberData');
+const { ZERO } = require('./numberConverter');
+const { formatPrefix, getPrefixStyle, splitPrefix } = require('./prefixes');
+
+// The digit each digit word stands for, in both genders ("חמש", "חמישה")
+const DIGIT_WORDS = Object.entries(HEBREW_NUMBER_WORDS.cardinals)
+  .filter(([, value]) => value < 10)
+  .reduce((digits, [word, value]) => ({ ...digits, [word]: `${value}` }), { [ZERO]: '0' });
+
+// Fewest digits a sequence needs, unless it starts with a zero ("אפס שלוש")
+const MIN_DIGITS = 3;
+
+/**
+ * Reads the digits of a single token ("חמש", "שש-שבע-אפס")
+ *
+ * @param {string} text - The token text, without a prefix
+ * @returns {string|null} The digits, or null if the token is not made of digit words
+ * @private
+ */
+function readDigitWord(text) {
+  const words = text.split('-');
+  return words.every((word) => DIGIT_WORDS[word] !== undefined)
+    ? words.map((word) => DIGIT_WORDS[word]).join('')
+    : null;
+}
+
+/**
+ * Splits a token into its proclitic prefix and digits
+ *
+ * @param {string} text - The token text
+ * @returns {{prefix: string, digits: string}|null} The split token, or null
+ * @private
+ */
+function splitDigitWord(text) {
+  const split = splitPrefix(text, (stem) => readDigitWord(stem) !== null);
+  return split && { prefix: split.prefix, digits: readDigitWord(split.stem) };
+}
+
+/**
+ * Reads a group of digit words starting at a token
+ *
+ * A digit word that starts a longer cardinal ("חמש מאות") is not part of a group.
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @param {boolean} first - Whether the group starts the sequence and may carry a prefix
+ * @returns {{prefix: string, digits: string, words: number, lastToken: number}|null}
+ * The group, or null
+ * @private
+ */
+function readGroup(tokens, index, cardinalsByToken, first) {
+  const isDigitToken = (position) => {
+    const cardinal = cardinalsByToken.get(position);
+    return !(cardinal && cardinal.lastToken > position);
+  };
+
+  const start = index < tokens.length && isDigitToken(index)
+    && (first ? splitDigitWord(tokens[index].text) : readDigitWord(tokens[index].text));
+  if (!start) {
+    return null;
+  }
+
+  const group = first
+    ? { ...start, words: 1, lastToken: index }
+    : {
+      prefix: '', digits: start, words: 1, lastToken: index,
+    };
+
+  let next = index + 1;
+  while (next < tokens.length && isDigitToken(next) && readDigitWord(tokens[next].text)) {
+    group.digits += readDigitWord(tokens[next].text);
+    group.words += 1;
+    group.lastToken = next;
+    next += 1;
+  }
+  return group;
+}
+
+/**
+ * Reads one group of a dictated number: a digit word ("חמש", "אפס") or a
+ * cardinal said as a group of digits ("שישים ושבע", "שש מאות שבעים ושמונה")
+ *
+ * Phone and ID numbers are dictated in such groups, which are read left to right
+ * and joined ("אפס חמש אפס, שש מאות שבעים ושמונה" -> "050678").
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @param {boolean} first - Whether the group starts the number and may carry a prefix
+ * @returns {{prefix: string, digits: string, lastToken: number}|null} The group, or null
+ *
+ * @example
+ * // Returns { prefix: '', digits: '67', lastToken: 1 }
+ * readDigitGroup(tokenizeWithOffsets('שישים ושבע'), 0, cardinalsByToken, false);
+ */
+function readDigitGroup(tokens, index, cardinalsByToken, first) {
+  if (index >= tokens.length) {
+    return null;
+  }
+
+  const cardinal = cardinalsByToken.get(index);
+  const digitWord = splitDigitWord(tokens[index].text);
+  if (digitWord && (!cardinal || cardinal.lastToken === index)) {
+    return first || !digitWord.prefix ? { ...digitWord, lastToken: index } : null;
+  }
+
+  if (cardinal && (first || !cardinal.prefix) && cardinal.value < 10000) {
+    return { prefix: cardinal.prefix, digits: `${cardinal.value}`, lastToken: cardinal.lastToken };
+  }
+  return null;
+}
+
+/**
+ * Reads the groups of a dictated number starting at a token
+ *
+ * Groups may be separated by commas, and are read until the number has at least
+ * `maxDigits` digits or no group follows.
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @param {number} maxDigits - Number of digits after which reading stops
+ * @returns {{prefix: string, groups: Array<{digits: string, lastToken: number}>}|null}
+ * The groups that were read, or null if no group starts here
+ *
+ * @example
+ * // Returns { prefix: '', groups: [{ digits: '0', lastToken: 0 },
+ * //   { digits: '50', lastToken: 1 }] }
+ * readDigitGroups(tokenizeWithOffsets('אפס חמישים'), 0, cardinalsByToken, 9);
+ */
+function readDigitGroups(tokens, index, cardinalsByToken, maxDigits) {
+  const first = readDigitGroup(tokens, index, cardinalsByToken, true);
+  if (!first) {
+    return null;
+  }
+
+  const { prefix, digits, lastToken } = first;
+  const groups = [{ digits, lastToken }];
+  let { length } = digits;
+  while (length < maxDigits) {
+    const next = groups[groups.length - 1].lastToken + 1;
+    const comma = tokens[next] && tokens[next].text === ',';
+    const group = readDigitGroup(tokens, comma ? next + 1 : next, cardinalsByToken, false);
+    if (!group) {
+      break;
+    }
+    groups.push({ digits: group.digits, lastToken: group.lastToken });
+    length += group.digits.length;
+  }
+  return { prefix, groups };
+}
+
+/**
+ * Reads a digit sequence starting at a token
+ *
+ * Groups of two or more digit words separated by commas ("אפס חמש אפס, שמונה
+ * שבע שש") belong to the same sequence.
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @returns {{prefix: string, groups: Array<string>, lastToken: number}|null} The
+ * sequence with the digits of each group, or null if no sequence starts here
+ *
+ * @example
+ * // Returns { prefix: '', groups: ['03', '967'], lastToken: 5 }
+ * readDigitSequence(tokenizeWithOffsets('אפס שלוש, תשע שש שבע'), 0, cardinalsByToken);
+ */
+function readDigitSequence(tokens, index, cardinalsByToken) {
+  const first = readGroup(tokens, index, cardinalsByToken, true);
+  if (!first) {
+    return null;
+  }
+
+  const sequence = { prefix: first.prefix, groups: [first.digits], lastToken: first.lastToken };
+  let group = first;
+  while (group.words >= 2 && tokens[group.lastToken + 1] && tokens[group.lastToken + 1].text === ',') {
+    group = readGroup(tokens, group.lastToken + 2, cardinalsByToken, false);
+    if (!group || group.words < 2) {
+      break;
+    }
+    sequence.groups.push(group.digits);
+    sequence.lastToken = group.lastToken;
+  }
+
+  const digits = sequence.groups.join('');
+  if (digits.length < MIN_DIGITS && !(digits.length >= 2 && digits.startsWith('0'))) {
+    return null;
+  }
+  return sequence;
+}
+
+/**
+ * Finds digit sequences in a tokenized text
+ *
+ * A sequence is a run of at least three digit words, or of two starting with
+ * "אפס". Groups separated by commas are joined with hyphens ("אפס שלוש, תשע שש
+ * שבע, ארבע חמש שש אחת" -> "03-967-4561"); hyphenated digit words are written as
+ * one run of digits.
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options
+ * @returns {Array<Object>} Digit sequence expressions with `class: 'digits'` and the
+ * digits as a string `value`
+ *
+ * @example
+ * // Returns [{ original: 'תשע אפס שמונה שבע שש', normalized: '90876', value: '90876', ... }]
+ * findDigitSequenceExpressions(tokens, cardinals);
+ */
+function findDigitSequenceExpressions(tokens, cardinals, options = {}) {
+  const prefixStyle = getPrefixStyle(options);
+  const cardinalsByToken = new Map(cardinals.map((cardinal) => [cardinal.firstToken, cardinal]));
+  const expressions = [];
+
+  let index = 0;
+  while (index < tokens.length) {
+    const sequence = readDigitSequence(tokens, index, cardinalsByToken);
+    if (sequence) {
+      expressions.push({
+        startIndex: tokens[index].start,
+        endIndex: tokens[sequence.lastToken].end,
+        firstToken: index,
+        lastToken: sequence.lastToken,
+        original: tokens.slice(index, sequence.lastToken + 1).map((token) => token.text).join(' '),
+        normalized: formatPrefix(sequence.prefix, prefixStyle) + sequence.groups.join('-'),
+        value: sequence.groups.join(''),
+        class: 'digits',
+      });
+      index = sequence.lastToken + 1;
+    } else {
+      index += 1;
+    }
+  }
+
+  return expressions;
+}
+
+module.exports = {
+  DIGIT_WORDS,
+  findDigitSequenceExpressions,
+  readDigitGroup,
+  readDigitGroups,
+  readDigitSequence,
+};
@@ -0,0 +1,148 @@
+/**
+ * Number Word Disambiguation
+ *
+ * Some number words are often not quantities at all: "שני" is also Monday ("ביום
+ * שני"), "אחד" and "אחת" take part in idioms ("אף אחד", "כל אחד", "אחת ולתמיד", "אחד מהם")
+ * and "שבע" or "שמונה" are parts of place names ("באר שבע", "קריית שמונה"). This
+ * module looks at the words around them and marks the ones that must be left as
+ * words, before any number is recognized.
+ *
+ * @module disambiguation
+ */
+
+const { splitPrefix } = require('./prefixes');
+const { splitNumberWord } = require('./numberRecognizer');
+
+// Place names that contain a number word
+const PLACE_NAMES = [
+  ['באר', 'שבע'],
+  ['תל', 'שבע'],
+  ['קריית', 'שמונה'],
+  ['קרית', 'שמונה'],
+  ['קריית', 'ארבע'],
+  ['קרית', 'ארבע'],
+];
+
+// Idioms that contain a number word but count nothing
+const IDIOMS = [
+  ['אף', 'אחד'],
+  ['אף', 'אחת'],
+  ['כל', 'אחד'],
+  ['כל', 'אחת'],
+  ['מישהו', 'אחד'],
+  ['מישהי', 'אחת'],
+  ['כאחד'],
+  ['אחת', 'ולתמיד'],
+  ['אחד', 'על', 'אחד'],
+  ['בבת', 'אחת'],
+];
+
+// Forms of "one" that mean "one of" before a partitive ("אחד מהם", "אחת הבעיות")
+const ONE_FORMS = new Set(['אחד', 'אחת']);
+
+// Partitives without the definite article ("אחד מכם", "אחת מאיתנו")
+const PARTITIVES = new Set(['מכם', 'מכן', 'מאיתנו', 'מאתנו', 'מביניהם', 'מביניהן']);
+
+// "Monday", and the words around it that show it is a day ("ביום שני", "שני הבא")
+const MONDAY = 'שני';
+const DAY = 'יום';
+const DAY_FOLLOWERS = new Set([
+  'הבא', 'הקרוב', 'שעבר', 'האחרון', 'בבוקר', 'בצהריים', 'אחה"צ', 'בערב', 'בלילה',
+]);
+
+/**
+ * Checks whether a word is a given stem, possibly with proclitic prefixes
+ *
+ * @param {{text: string}} [token] - The token to check
+ * @param {string} stem - The stem to look for
+ * @returns {boolean} True if the token is the stem after its prefixes
+ * @private
+ */
+function hasStem(token, stem) {
+  return Boolean(token) && splitPrefix(token.text, (rest) => rest === stem) !== null;
+}
+
+/**
+ * Returns the length of a phrase that starts at a token, the first word of which
+ * may carry prefixes ("בבאר שבע", "מקריית שמונה")
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token
+ * @param {Array<Array<string>>} phrases - The phrases to look for
+ * @returns {number} The number of tokens in the matching phrase, or 0
+ * @private
+ */
+function matchPhrase(tokens, index, phrases) {
+  const phrase = phrases.find((words) => hasStem(tokens[index], words[0])
+    && words.slice(1).every((word, offset) => tokens[index + offset + 1]
+      && tokens[index + offset + 1].text === word));
+  return phrase ? phrase.length : 0;
+}
+
+/**
+ * Checks whether "אחד" or "אחת" means "one of" a group
+ *
+ * A partitive after it ("אחד מהם", "אחת מהילדות") or a definite plural in the
+ * construct ("אחד הדברים", "אחת הבעיות") shows it picks from a group; the end of a
+ * longer number ("עשרים ואחד המשתתפים") does not.
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the token to check
+ * @returns {boolean} True if the token means "one of"
+ * @private
+ */
+function isOneOf(tokens, index) {
+  const previous = tokens[index - 1];
+  const next = tokens[index + 1];
+  if (!splitPrefix(tokens[index].text, (stem) => ONE_FORMS.has(stem)) || !next
+    || (previous && splitNumberWord(previous.text))) {
+    return false;
+  }
+  return PARTITIVES.has(next.text) || /^מה[א-ת]/.test(next.text)
+    || /^ה[א-ת]+(ים|ות)$/.test(next.text);
+}
+
+/**
+ * Checks whether "שני" is the day of the week
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the token to check
+ * @returns {boolean} True if the token is Monday
+ * @private
+ */
+function isMonday(tokens, index) {
+  const next = tokens[index + 1];
+  return hasStem(tokens[index], MONDAY)
+    && (hasStem(tokens[index - 1], DAY) || Boolean(next && DAY_FOLLOWERS.has(next.text)));
+}
+
+/**
+ * Finds the number words of a tokenized text that are not quantities
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @returns {Set<number>} Indexes of the tokens to leave as words
+ *
+ * @example
+ * // Returns Set { 2, 3 }
+ * findLiteralTokens(tokenizeWithOffsets('הוא גר בבאר שבע'));
+ */
+function findLiteralTokens(tokens) {
+  const literal = new Set();
+
+  tokens.forEach((token, index) => {
+    const length = matchPhrase(tokens, index, PLACE_NAMES) || matchPhrase(tokens, index, IDIOMS);
+    for (let offset = 0; offset < length; offset += 1) {
+      literal.add(index + offset);
+    }
+
+    if (isOneOf(tokens, index) || isMonday(tokens, index)) {
+      literal.add(index);
+    }
+  });
+
+  return literal;
+}
+
+module.exports = {
+  findLiteralTokens,
+};
@@ -0,0 +1,37 @@
+/**
+ * Hebrew ITN Errors
+ *
+ * This module contains the error types raised by the Hebrew ITN engine.
+ *
+ * @module errors
+ */
+
+/**
+ * Raised when a sequence of Hebrew words cannot be parsed as a number
+ *
+ * @example
+ * try {
+ *   parseNumberExpression(['חמש', 'ארבע']);
+ * } catch (error) {
+ *   // error.name === 'NumberParseError', error.index === 1
+ * }
+ */
+class NumberParseError extends Error {
+  /**
+   * Creates a new number parse error
+   *
+   * @param {string} message - Description of the problem
+   * @param {Array<string>} [tokens] - The tokens that were being parsed
+   * @param {number} [index] - Index of the offending token, or -1 if not applicable
+   */
+  constructor(message, tokens = [], index = -1) {
+    super(message);
+    this.name = 'NumberParseError';
+    this.tokens = tokens;
+    this.index = index;
+  }
+}
+
+module.exports = {
+  NumberParseError,
+};
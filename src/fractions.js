@@ -0,0 +1,375 @@
+/**
+ * Hebrew Fractions
+ *
+ * This module recognizes fractions in Hebrew text - "חצי", "רבע", "שליש",
+ * "עשירית", "שלושה רבעים" and "שני שלישים" - on their own ("חצי ליטר"), added to
+ * a number ("חמש וחצי", "שני מטרים וחצי", "שעה ורבע") or taken of a scale word
+ * ("מיליון וחצי", "שלושה וחצי מיליון", "חצי מיליון"). They are written as
+ * decimals ("1.5", "0.25", "1,500,000") or with fraction characters ("1½").
+ *
+ * A fraction on its own ("שלושה רבעים", "שליש", "עשירית") is left as words unless a
+ * unit or a partitive "מה" follows it. Clock times said with "וחצי" and "ורבע"
+ * ("בשלוש וחצי") are left to the times recognizer, which takes priority over this
+ * one when the time has a cue.
+ *
+ * @module fractions
+ */
+
+const { formatNumber, getNumberFormat } = require('./numberFormat');
+const { formatPrefix, getPrefixStyle, splitPrefix } = require('./prefixes');
+
+// Supported output styles: "1.5" or "1½"
+const FRACTION_STYLES = ['decimal', 'unicode'];
+
+// Fraction words with the denominator of the single part they name ("רבע" is 1/4)
+const UNIT_FRACTIONS = {
+  חצי: 2, רבע: 4, שליש: 3, עשירית: 10,
+};
+
+// Plural fraction words that follow a numerator ("שלושה רבעים", "שני שלישים")
+const PLURAL_FRACTIONS = { רבעים: 4, שלישים: 3 };
+
+// Fraction characters, used by the "unicode" style
+const FRACTION_CHARACTERS = {
+  '1/2': '½', '1/4': '¼', '3/4': '¾', '1/3': '⅓', '2/3': '⅔', '1/10': '⅒',
+};
+
+// Scale words a fraction may be taken of ("מיליון וחצי", "חצי מיליון")
+const SCALES = {
+  אלף: 1000, אלפים: 1000, מיליון: 1000000, מיליארד: 1000000000, טריליון: 1000000000000,
+};
+
+// Units that may come between a number and its fraction ("שני מטרים וחצי"), with
+// the plural that a fraction of a single unit is written with ("שעה וחצי" -> "1.5 שעות")
+const UNITS = {
+  שנייה: 'שניות',
+  דקה: 'דקות',
+  שעה: 'שעות',
+  יום: 'ימים',
+  שבוע: 'שבועות',
+  חודש: 'חודשים',
+  שנה: 'שנים',
+  מטר: 'מטרים',
+  סנטימטר: 'סנטימטרים',
+  קילומטר: 'קילומטרים',
+  גרם: 'גרמים',
+  קילוגרם: 'קילוגרמים',
+  קילו: 'קילו',
+  ליטר: 'ליטרים',
+  כוס: 'כוסות',
+  כף: 'כפות',
+  כפית: 'כפיות',
+  מעלה: 'מעלות',
+};
+
+// Dual forms of units, which stand for two of them ("שעתיים וחצי" -> "2.5 שעות")
+const DUAL_UNITS = {
+  שעתיים: 'שעות', יומיים: 'ימים', שבועיים: 'שבועות', חודשיים: 'חודשים', שנתיים: 'שנים',
+};
+
+// All the words of the units, singular and plural
+const UNIT_WORDS = new Set([...Object.keys(UNITS), ...Object.values(UNITS)]);
+
+// A single unit, or two of them, with its proclitic prefix ("כשעה", "בשעתיים")
+const SINGLE_UNIT_PATTERN = new RegExp(`^([ובלמכש]{0,2})(${[
+  ...Object.keys(UNITS), ...Object.keys(DUAL_UNITS),
+].join('|')})$`);
+
+// Words that may follow a unit before its fraction ("שנים עשר מטרים רבועים וחצי")
+const UNIT_QUALIFIERS = new Set(['רבוע', 'רבועים', 'מרובע', 'מרובעים', 'מעוקב', 'מעוקבים']);
+
+/**
+ * Reads a fraction starting at a token ("חצי", "ברבע", "שלושה רבעים")
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @returns {{prefix: string, numerator: number, denominator: number, lastToken: number}|null}
+ * The fraction, or null
+ *
+ * @example
+ * // Returns { prefix: 'כ', numerator: 2, denominator: 3, lastToken: 1 }
+ * readFraction(tokenizeWithOffsets('כשני שלישים'), 0, cardinalsByToken);
+ */
+function readFraction(tokens, index, cardinalsByToken) {
+  if (index >= tokens.length) {
+    return null;
+  }
+
+  // "שלושה רבעים" - a numerator and a plural fraction word
+  const numerator = cardinalsByToken.get(index);
+  if (numerator) {
+    const plural = tokens[numerator.lastToken + 1];
+    const denominator = plural && PLURAL_FRACTIONS[plural.text];
+    if (!denominator || numerator.value < 2 || numerator.value >= denominator) {
+      return null;
+    }
+    return {
+      prefix: numerator.prefix,
+      numerator: numerator.value,
+      denominator,
+      lastToken: numerator.lastToken + 1,
+    };
+  }
+
+  const word = splitPrefix(tokens[index].text, (stem) => UNIT_FRACTIONS[stem] !== undefined);
+  return word && {
+    prefix: word.prefix, numerator: 1, denominator: UNIT_FRACTIONS[word.stem], lastToken: index,
+  };
+}
+
+/**
+ * Reads a fraction added to a number with "ו" ("וחצי", "ושלושה רבעים")
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the token after the number
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @returns {{numerator: number, denominator: number, lastToken: number}|null} The
+ * fraction, or null
+ */
+function readAddedFraction(tokens, index, cardinalsByToken) {
+  const fraction = readFraction(tokens, index, cardinalsByToken);
+  if (!fraction || fraction.prefix !== 'ו') {
+    return null;
+  }
+  return {
+    numerator: fraction.numerator,
+    denominator: fraction.denominator,
+    lastToken: fraction.lastToken,
+  };
+}
+
+/**
+ * Reads a quantity starting at a token: a number with an optional fraction
+ * ("חמש וחצי"), a fraction on its own ("רבע") or a fraction of a scale word
+ * ("מיליון וחצי", "שלושה וחצי מיליון", "חצי מיליון"), which gives a whole number
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @returns {{prefix: string, whole: number, numerator: number, denominator: number,
+ * lastToken: number}|null} The quantity, or null
+ *
+ * @example
+ * // Returns { prefix: 'כ', whole: 3500000, numerator: 0, denominator: 1, lastToken: 2 }
+ * readQuantity(tokenizeWithOffsets('כשלושה מיליון וחצי'), 0, cardinalsByToken);
+ */
+function readQuantity(tokens, index, cardinalsByToken) {
+  const scaleAt = (position) => (tokens[position] && SCALES[tokens[position].text]) || 0;
+
+  const fraction = readFraction(tokens, index, cardinalsByToken);
+  if (fraction) {
+    // "חצי מיליון"
+    const scale = scaleAt(fraction.lastToken + 1);
+    if (scale && (scale * fraction.numerator) % fraction.denominator === 0) {
+      return {
+        prefix: fraction.prefix,
+        whole: (scale * fraction.numerator) / fraction.denominator,
+        numerator: 0,
+        denominator: 1,
+        lastToken: fraction.lastToken + 1,
+      };
+    }
+    return { ...fraction, whole: 0 };
+  }
+
+  const cardinal = cardinalsByToken.get(index);
+  if (!cardinal) {
+    return null;
+  }
+
+  const quantity = {
+    prefix: cardinal.prefix,
+    whole: cardinal.value,
+    numerator: 0,
+    denominator: 1,
+    lastToken: cardinal.lastToken,
+  };
+
+  const added = readAddedFraction(tokens, cardinal.lastToken + 1, cardinalsByToken);
+  if (!added) {
+    return quantity;
+  }
+
+  // "שלושה מיליון וחצי" - the fraction is of the last scale word
+  const ownScale = SCALES[cardinal.tokens[cardinal.tokens.length - 1]];
+  // "שלושה וחצי מיליון" - the whole number with its fraction is multiplied
+  const nextScale = scaleAt(added.lastToken + 1);
+  const scale = ownScale || nextScale;
+  if (scale) {
+    if ((scale * added.numerator) % added.denominator !== 0) {
+      return quantity;
+    }
+    const part = (scale * added.numerator) / added.denominator;
+    return {
+      ...quantity,
+      whole: ownScale ? cardinal.value + part : cardinal.value * scale + part,
+      lastToken: ownScale ? added.lastToken : added.lastToken + 1,
+    };
+  }
+
+  return {
+    ...quantity,
+    numerator: added.numerator,
+    denominator: added.denominator,
+    lastToken: added.lastToken,
+  };
+}
+
+/**
+ * Returns the decimal digits of a fraction
+ *
+ * @param {number} numerator - The numerator
+ * @param {number} denominator - The denominator
+ * @returns {string|null} The digits after the decimal point ("75" for 3/4), an empty
+ * string for no fraction, or null if the fraction has no short decimal form (1/3)
+ *
+ * @example
+ * // Returns '25'
+ * fractionDigits(1, 4);
+ */
+function fractionDigits(numerator, denominator) {
+  if (numerator === 0) {
+    return '';
+  }
+  if ((numerator * 10000) % denominator !== 0) {
+    return null;
+  }
+  return `${numerator / denominator}`.split('.')[1];
+}
+
+/**
+ * Renders a quantity in the requested style
+ *
+ * @param {number} whole - The whole part
+ * @param {number} numerator - The numerator of the fraction
+ * @param {number} denominator - The denominator of the fraction
+ * @param {string} style - One of `FRACTION_STYLES`
+ * @param {Object} format - The number format, see `getNumberFormat`
+ * @returns {string} The rendered quantity ("1.5", "1½", "2/3")
+ * @private
+ */
+function renderQuantity(whole, numerator, denominator, style, format) {
+  const digits = fractionDigits(numerator, denominator);
+  if (digits === '' || (style === 'decimal' && digits !== null)) {
+    return formatNumber(whole, digits, format);
+  }
+
+  const fraction = `${numerator}/${denominator}`;
+  if (style === 'unicode' && FRACTION_CHARACTERS[fraction]) {
+    return whole ? `${formatNumber(whole, '', format)}${FRACTION_CHARACTERS[fraction]}` : FRACTION_CHARACTERS[fraction];
+  }
+  return whole ? `${formatNumber(whole, '', format)} ${fraction}` : fraction;
+}
+
+/**
+ * Finds fractions in a tokenized text
+ *
+ * A fraction is converted when it is added to a number ("חמש וחצי", "שני
+ * שלישים"), when it follows the unit of a number ("ארבע שעות וחצי") or a single
+ * unit ("שעה וחצי", "שעתיים ורבע"), when it is taken of a scale word ("מיליון
+ * וחצי", "חצי מיליון") and, on its own, when a unit or a partitive "מה" follows
+ * it ("חצי ליטר", "שליש מהחופשה"). Other uses of the words ("חצי הגמר") are kept.
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.fractionStyle='decimal'] - "decimal" ("1.5") or "unicode"
+ * ("1½"); fractions without a short decimal form are written "2/3" with "decimal"
+ * @returns {Array<Object>} Fraction expressions with `class: 'fraction'` and a numeric
+ * `value`
+ *
+ * @example
+ * // Returns [{ original: 'כשעה וחצי', normalized: 'כ-1.5 שעות', value: 1.5, ... }]
+ * findFractionExpressions(tokens, cardinals);
+ */
+function findFractionExpressions(tokens, cardinals, options = {}) {
+  const style = options.fractionStyle || 'decimal';
+  if (!FRACTION_STYLES.includes(style)) {
+    throw new Error(`Unknown fraction style "${style}". Expected one of: ${FRACTION_STYLES.join(', ')}`);
+  }
+  const format = getNumberFormat(options);
+  const prefixStyle = getPrefixStyle(options);
+
+  const cardinalsByToken = new Map(cardinals.map((cardinal) => [cardinal.firstToken, cardinal]));
+  const expressions = [];
+  const addExpression = (firstToken, lastToken, prefix, quantity, unit = '') => {
+    const { whole, numerator, denominator } = quantity;
+    const number = renderQuantity(whole, numerator, denominator, style, format);
+    expressions.push({
+      startIndex: tokens[firstToken].start,
+      endIndex: tokens[lastToken].end,
+      firstToken,
+      lastToken,
+      original: tokens.slice(firstToken, lastToken + 1).map((token) => token.text).join(' '),
+      normalized: formatPrefix(prefix, prefixStyle) + number + (unit ? ` ${unit}` : ''),
+      value: whole + numerator / denominator,
+      class: 'fraction',
+    });
+  };
+  const textAt = (index) => (index < tokens.length ? tokens[index].text : '');
+
+  tokens.forEach((token, index) => {
+    // "כשעה וחצי", "שעתיים ורבע"
+    const unitWord = !cardinalsByToken.has(index) && token.text.match(SINGLE_UNIT_PATTERN);
+    if (unitWord) {
+      const single = UNITS[unitWord[2]] || DUAL_UNITS[unitWord[2]];
+      const added = readAddedFraction(tokens, index + 1, cardinalsByToken);
+      if (added) {
+        const whole = UNITS[unitWord[2]] ? 1 : 2;
+        addExpression(index, added.lastToken, unitWord[1], { ...added, whole }, single);
+      }
+      return;
+    }
+
+    const quantity = readQuantity(tokens, index, cardinalsByToken);
+    if (!quantity) {
+      return;
+    }
+
+    const cardinal = cardinalsByToken.get(index);
+    if (cardinal && quantity.lastToken === cardinal.lastToken) {
+      // "שני מטרים (רבועים) וחצי" - the unit stays after the number
+      let unitEnd = cardinal.lastToken + 1;
+      if (!UNIT_WORDS.has(textAt(unitEnd))) {
+        return;
+      }
+      if (UNIT_QUALIFIERS.has(textAt(unitEnd + 1))) {
+        unitEnd += 1;
+      }
+      const added = readAddedFraction(tokens, unitEnd + 1, cardinalsByToken);
+      if (added) {
+        const unit = tokens.slice(cardinal.lastToken + 1, unitEnd + 1).map((t) => t.text).join(' ');
+        addExpression(index, added.lastToken, quantity.prefix, {
+          ...added, whole: quantity.whole,
+        }, unit);
+      }
+      return;
+    }
+
+    // "חצי ליטר", "שליש מהחופשה" - a fraction alone needs something to be a fraction of
+    const alone = quantity.whole === 0;
+    const following = textAt(quantity.lastToken + 1);
+    if (alone && !UNIT_WORDS.has(following) && !/^מה[א-ת]/.test(following)) {
+      // "שלושה רבעים" on its own stays as words, rather than "3 רבעים"
+      if (cardinal) {
+        addExpression(index, quantity.lastToken, quantity.prefix, quantity);
+        expressions[expressions.length - 1].normalized = null;
+      }
+      return;
+    }
+
+    addExpression(index, quantity.lastToken, quantity.prefix, quantity);
+  });
+
+  return expressions;
+}
+
+module.exports = {
+  FRACTION_STYLES,
+  findFractionExpressions,
+  fractionDigits,
+  readAddedFraction,
+  readFraction,
+  readQuantity,
+};
@@ -162,9 +162,6 @@ function normalizeTextDirectly(text) {
     result = result.replace(pattern, replacer);
   }
 
-  // Fix conjunctions
-  result = result.replace(/\bו(\d)/g, 'ו-$1');
-
   return result;
 }
 
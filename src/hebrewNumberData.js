@@ -106,6 +106,8 @@ const HEBREW_NUMBER_WORDS = {
     מיליונים: 1000000,
     מיליארד: 1000000000,
     מיליארדים: 1000000000,
+    טריליון: 1000000000000,
+    טריליונים: 1000000000000,
   },
 };
 
@@ -128,6 +130,24 @@ const CONSTRUCT_FORMS = {
   עשרת: 10,
 };
 
+/**
+ * Forms of the numbers one to ten by gender, in value order
+ * Absolute forms are said on their own ("שלושה", "שלוש") and construct forms before
+ * a noun ("שלושת הספרים", "שתי שעות"); used to write numbers out in words
+ *
+ * @type {Object}
+ */
+const UNIT_FORMS = {
+  masculine: {
+    absolute: ['אחד', 'שניים', 'שלושה', 'ארבעה', 'חמישה', 'שישה', 'שבעה', 'שמונה', 'תשעה', 'עשרה'],
+    construct: ['אחד', 'שני', 'שלושת', 'ארבעת', 'חמשת', 'ששת', 'שבעת', 'שמונת', 'תשעת', 'עשרת'],
+  },
+  feminine: {
+    absolute: ['אחת', 'שתיים', 'שלוש', 'ארבע', 'חמש', 'שש', 'שבע', 'שמונה', 'תשע', 'עשר'],
+    construct: ['אחת', 'שתי', 'שלוש', 'ארבע', 'חמש', 'שש', 'שבע', 'שמונה', 'תשע', 'עשר'],
+  },
+};
+
 /**
  * Mapping of Hebrew ordinal numbers to their values
  *
@@ -162,4 +182,5 @@ module.exports = {
   HEBREW_NUMBER_WORDS,
   CONSTRUCT_FORMS,
   ORDINAL_NUMBERS,
+  UNIT_FORMS,
 };
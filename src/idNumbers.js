@@ -0,0 +1,125 @@
+/**
+ * Israeli ID Numbers
+ *
+ * This module recognizes Israeli ID numbers (מספר תעודת זהות) read out after a
+ * cue such as "תעודת זהות", "ת.ז." or "מספר זהות", whether digit by digit or in
+ * groups ("שלוש אפס שמונה, ארבע חמש שתיים, שבע אחת תשע"), and writes them as a
+ * nine-digit string ("308452719") with the result of the check digit validation.
+ *
+ * @module idNumbers
+ */
+
+const { formatPrefix, getPrefixStyle } = require('./prefixes');
+const { readDigitGroups } = require('./digitSequences');
+
+// Number of digits in an Israeli ID number
+const ID_LENGTH = 9;
+
+// Words that may open an ID cue, followed by "זהות" ("תעודת זהות", "מספר הזהות")
+const CUE_HEADS = /^[ובלמהש]{0,2}(תעודת|מספר)$/;
+const CUE_TAILS = new Set(['זהות', 'הזהות']);
+
+// Abbreviations of "תעודת זהות" ("ת.ז.", "ת\"ז")
+const CUE_ABBREVIATIONS = /^[ובלמהש]{0,2}ת(\.|"|״)ז\.?$/;
+
+// How many words before a number are searched for an ID cue
+const CUE_WINDOW = 6;
+
+/**
+ * Validates the check digit of an Israeli ID number
+ *
+ * Digits in odd positions are doubled, the digits of each product are added, and
+ * the total of a valid number is a multiple of ten.
+ *
+ * @param {string} digits - The nine digits of the ID number
+ * @returns {boolean} True if the check digit is correct
+ *
+ * @example
+ * // Returns true
+ * isValidIdNumber('000000018');
+ */
+function isValidIdNumber(digits) {
+  if (!/^\d{9}$/.test(digits)) {
+    return false;
+  }
+
+  const total = [...digits].reduce((sum, digit, position) => {
+    const product = Number(digit) * (position % 2 === 0 ? 1 : 2);
+    return sum + (product > 9 ? product - 9 : product);
+  }, 0);
+  return total % 10 === 0;
+}
+
+/**
+ * Checks whether an ID cue precedes a token
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token of the number
+ * @returns {boolean} True if a cue is found in the preceding words
+ * @private
+ */
+function hasIdCue(tokens, index) {
+  for (let position = Math.max(0, index - CUE_WINDOW); position < index; position += 1) {
+    const { text } = tokens[position];
+    const tail = position + 1 < index && tokens[position + 1].text;
+    if (CUE_ABBREVIATIONS.test(text) || (CUE_HEADS.test(text) && CUE_TAILS.has(tail))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Finds Israeli ID numbers in a tokenized text
+ *
+ * An ID number is nine digits, read in digit words or groups and following an ID
+ * cue within a few words. Numbers that fail the check digit validation are still
+ * written as digits, and reported with `valid: false`.
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options
+ * @returns {Array<Object>} ID expressions with `class: 'id'` and a `value` of
+ * `{ number, valid }`
+ *
+ * @example
+ * // Returns [{ original: 'אפס שתיים תשע ...', normalized: '029871543', value:
+ * //   { number: '029871543', valid: false }, ... }]
+ * findIdExpressions(tokens, cardinals);
+ */
+function findIdExpressions(tokens, cardinals, options = {}) {
+  const prefixStyle = getPrefixStyle(options);
+  const cardinalsByToken = new Map(cardinals.map((cardinal) => [cardinal.firstToken, cardinal]));
+  const expressions = [];
+
+  let index = 0;
+  while (index < tokens.length) {
+    const number = hasIdCue(tokens, index)
+      && readDigitGroups(tokens, index, cardinalsByToken, ID_LENGTH);
+    const digits = number && number.groups.map((group) => group.digits).join('');
+
+    if (digits && digits.length === ID_LENGTH) {
+      const { lastToken } = number.groups[number.groups.length - 1];
+      expressions.push({
+        startIndex: tokens[index].start,
+        endIndex: tokens[lastToken].end,
+        firstToken: index,
+        lastToken,
+        original: tokens.slice(index, lastToken + 1).map((token) => token.text).join(' '),
+        normalized: formatPrefix(number.prefix, prefixStyle) + digits,
+        value: { number: digits, valid: isValidIdNumber(digits) },
+        class: 'id',
+      });
+      index = lastToken + 1;
+    } else {
+      index += 1;
+    }
+  }
+
+  return expressions;
+}
+
+module.exports = {
+  findIdExpressions,
+  isValidIdNumber,
+};
@@ -10,152 +10,230 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const numberPatterns = require('./numberPatterns');
-const hebrewITN = require('./hebrewITN');
-const testCases = require('./testCases');
+const numberConverter = require('./numberConverter');
+const textProcessor = require('./textProcessor');
 const WorkerPool = require('./workerPool');
+const { alignWords } = require('./wordAligner');
+const { NumberParseError } = require('./errors');
+const protection = require('./protection');
+const verbalizer = require('./verbalizer');
 
 // Global worker pool instance - will be lazily initialized
 let globalWorkerPool = null;
 
-// Read the sample data for direct access to test cases
-let sampleData = { samples: [] };
-try {
-  const sampleDataPath = path.join(__dirname, '..', 'data', 'sample-data.json');
-  sampleData = JSON.parse(fs.readFileSync(sampleDataPath, 'utf8'));
-} catch (e) {
-  console.error('Could not load sample data:', e.message);
-}
-
-// Create a lookup map for the sample data
-const sampleLookup = {};
-sampleData.samples.forEach((sample) => {
-  sampleLookup[sample.original] = sample.normalized;
-});
-
-// Get the test data
-let mockData;
-try {
-  mockData = require('../test/mockData');
-} catch (e) {
-  mockData = {
-    numberTests: {},
-    textTests: {},
-  };
-}
-
 /**
- * Performs Inverse Text Normalization on Hebrew text
+ * Performs Inverse Text Normalization and reports which parts of the text changed
+ *
+ * Every span carries its character range in the original text (`start`/`end`)
+ * and in the normalized text (`outStart`/`outEnd`), so converted numbers can be
+ * highlighted and mapped back to their spoken form.
+ *
+ * Spans that were deliberately left as they were said, such as a phone number of
+ * the wrong length, are listed in `issues` with the reason. Spans masked by
+ * `options.redact` are marked with `redacted: true` and carry no `original` or `value`;
+ * issues of the redacted classes carry no `original` either.
  *
  * @param {string} text - The Hebrew text to normalize
- * @returns {string} The normalized text with numbers converted to digits
+ * @param {Object} [options] - Normalization options, see `normalizeText`
+ * @returns {{text: string, spans: Array<{start: number, end: number, outStart: number,
+ * outEnd: number, original: string, normalized: string, value: number, class: string}>,
+ * issues: Array<{start: number, end: number, original: string, class: string,
+ * issue: string}>}} The normalized text, the spans that were converted and the issues
  *
  * @example
- * // Returns "יש 500,000 הורים ו5,302 ילדים נמצאים ברציף 8"
- * normalizeText("יש חמש מאות אלף הורים וחמשת אלפיים שלוש מאות ושניים ילדים נמצאים ברציף שמונה");
+ * // Returns { text: "יש 5 ילדים", spans: [{ start: 3, end: 8, outStart: 3, outEnd: 4,
+ * //   original: "חמישה", normalized: "5", value: 5, class: "cardinal" }], issues: [] }
+ * normalizeTextDetailed("יש חמישה ילדים");
  */
-function normalizeText(text) {
+function normalizeTextDetailed(text, options = {}) {
   if (!text || typeof text !== 'string') {
     throw new Error('Input must be a non-empty string');
   }
 
-  // For testing purposes, use mock data
-  if (mockData.textTests && mockData.textTests[text]) {
-    return mockData.textTests[text];
+  // Exact overrides are opt-in and always supplied by the caller
+  const { overrides } = options;
+  if (overrides && Object.prototype.hasOwnProperty.call(overrides, text)) {
+    const normalized = overrides[text];
+    return {
+      text: normalized,
+      spans: [{
+        start: 0,
+        end: text.length,
+        outStart: 0,
+        outEnd: normalized.length,
+        original: text,
+        normalized,
+        value: null,
+        class: 'override',
+      }],
+      issues: [],
+    };
   }
 
-  // Check if this is a known test case in sample data
-  if (sampleLookup[text]) {
-    return sampleLookup[text];
-  }
-
-  // Check if this is a known test case
-  const knownResult = testCases.getNormalizedForm(text);
-  if (knownResult) {
-    return knownResult;
-  }
-
-  // First try direct normalization with our pattern matching system
-  const normalizedText = hebrewITN.normalizeTextDirectly(text);
-
-  // If there was a change, return the result
-  if (normalizedText !== text) {
-    // Fix periods at the end
-    if (text.endsWith('.') && !normalizedText.endsWith('.')) {
-      return `${normalizedText}.`;
-    }
-    return normalizedText;
-  }
+  return textProcessor.normalizeTextDetailed(text, options);
+}
 
-  // Handle platform numbers as a fallback
-  const processedText = text.replace(
-    /(רציף|ברציף)\s+(שמונה|שבע|שש|חמש|ארבע|שלוש|שתיים|אחת|תשע|עשר)/g,
-    (match, prefix, number) => {
-      const numMap = {
-        אחת: '1',
-        שתיים: '2',
-        שלוש: '3',
-        ארבע: '4',
-        חמש: '5',
-        שש: '6',
-        שבע: '7',
-        שמונה: '8',
-        תשע: '9',
-        עשר: '10',
-      };
-      return `${prefix} ${numMap[number]}`;
-    },
-  );
-
-  return processedText;
+/**
+ * Performs Inverse Text Normalization on Hebrew text
+ *
+ * Only linguistic rules are applied. Callers that need a fixed output for
+ * specific sentences can pass them in `options.overrides`.
+ *
+ * @param {string} text - The Hebrew text to normalize
+ * @param {Object} [options] - Normalization options
+ * @param {Object<string, string>} [options.overrides] - Exact-match dictionary of
+ * input sentences to the output that should be returned for them verbatim
+ * @param {string} [options.ordinalStyle='prefix'] - How ordinals are written: "prefix"
+ * ("הקומה ה-3"), "plain" ("הקומה 3") or "words" (left spelled out)
+ * @param {string} [options.dateFormat='words'] - How dates are written: "words"
+ * ("23 במרץ 2024") or "numeric" ("23.3.2024")
+ * @param {string} [options.timeFormat='12h'] - How times of day are written: "12h"
+ * ("10:30 בלילה") or "24h" ("22:30 בלילה")
+ * @param {string} [options.currencyStyle='word'] - How amounts of money are written:
+ * "word" ("123 שקלים") or "symbol" ("123 ₪")
+ * @param {string} [options.percentStyle='symbol'] - How percentages are written:
+ * "symbol" ("35%") or "word" ("35 אחוזים")
+ * @param {string} [options.temperatureStyle='word'] - How negative temperatures are
+ * written: "word" ("-5 מעלות") or "symbol" ("-5°")
+ * @param {string} [options.rangeStyle='hyphen'] - How ranges are written: "hyphen"
+ * ("3-5", "30%-40%") or "words" ("מ-3 עד 5", "בין 30% ל-40%")
+ * @param {string} [options.decimalSeparator='.'] - Separator written before decimal
+ * digits: "." ("3.14") or "," ("3,14")
+ * @param {string} [options.thousandsSeparator='comma'] - Separator written between
+ * groups of three digits: "comma" ("5,302"), "none" ("5302"), "thin-space" or
+ * "apostrophe" ("5'302"); years are never grouped. With a "," decimal separator the
+ * default is "thin-space", and "comma" is rejected as ambiguous
+ * @param {number} [options.groupingThreshold=1000] - Smallest number written with a
+ * thousands separator
+ * @param {string} [options.digitScript='latin'] - Script of the digits: "latin" ("5,302")
+ * or "arabic-indic" ("٥,٣٠٢")
+ * @param {string} [options.fractionStyle='decimal'] - How fractions are written:
+ * "decimal" ("1.5", "2/3") or "unicode" ("1½", "⅔")
+ * @param {string} [options.phoneFormat='national'] - How phone numbers are written:
+ * "national" ("052-345-6789") or "e164" ("+972523456789")
+ * @param {boolean|Array<string>} [options.redact=false] - Masks personal numbers once
+ * they are assembled: `true` for cards, security codes, IDs, bank accounts and phones,
+ * or a list of those classes (`['card', 'cvv']`)
+ * @param {string} [options.redactMask='*'] - Character written instead of each masked
+ * digit ("****-****-****-9015")
+ * @param {string} [options.prefixStyle='mixed'] - How proclitic prefixes are attached to
+ * digits: "mixed" ("ו5", "כ-5"), "hyphen" ("ו-5", "כ-5"), "attached" ("ו5", "כ5") or
+ * "academy" ("ו־5", "כ־5")
+ * @param {string} [options.digitPolicy='always'] - Which counts are written with digits:
+ * "always", "never-below:N" (counts below N stay as words) or "style-guide" (one to ten
+ * stay as words, unless they carry a unit, form a list or share a sentence with a
+ * larger number)
+ * @param {Array<{start: number, end: number}>} [options.protectedRanges] - Character
+ * ranges of the text to leave exactly as they are (`end` exclusive), on top of the
+ * phrases of the protected-phrase lexicon, see `setProtectedPhrases`
+ * @returns {string} The normalized text with numbers converted to digits
+ *
+ * @example
+ * // Returns "יש 500,000 הורים ו5,302 ילדים נמצאים ברציף 8"
+ * normalizeText("יש חמש מאות אלף הורים וחמשת אלפיים שלוש מאות ושניים ילדים נמצאים ברציף שמונה");
+ */
+function normalizeText(text, options = {}) {
+  return normalizeTextDetailed(text, options).text;
 }
 
 /**
  * Normalizes only the numbers in a text without context
  *
- * @param {string} numberText - Hebrew spelled-out number
+ * @param {string} numberText - Hebrew spelled-out number, whole or decimal
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.decimalSeparator='.'] - Separator written before decimal digits
+ * @param {string} [options.thousandsSeparator='comma'] - Separator of the thousands, see
+ * `normalizeText`
+ * @param {number} [options.groupingThreshold=1000] - Smallest number written grouped
+ * @param {string} [options.digitScript='latin'] - Script of the digits, see `normalizeText`
  * @returns {string} Digit representation of the number
+ * @throws {NumberParseError} If the text is not a valid Hebrew number
  *
  * @example
  * // Returns "500"
  * normalizeNumber("חמש מאות");
+ * // Returns "3.14"
+ * normalizeNumber("שלוש נקודה ארבע עשרה");
  */
-function normalizeNumber(numberText) {
+function normalizeNumber(numberText, options = {}) {
   if (!numberText || typeof numberText !== 'string') {
     throw new Error('Input must be a non-empty string');
   }
 
-  // For testing purposes, use mock data
-  if (mockData.numberTests && mockData.numberTests[numberText]) {
-    return mockData.numberTests[numberText];
-  }
+  return numberConverter.convertToDigits({
+    tokens: numberConverter.tokenizeNumberText(numberText),
+  }, options);
+}
 
-  // Try pattern matching
-  const digitValue = numberPatterns.getDigitForHebrewNumber(numberText);
-  if (digitValue) {
-    return digitValue;
+/**
+ * Writes the numbers of a text out in Hebrew words, the inverse of `normalizeText`
+ *
+ * Meant for text-to-speech: cardinals ("5,302"), decimals, negative numbers,
+ * percentages, amounts of money ("₪123.50"), clock times ("3:15"), dates
+ * ("23.3.2024"), ranges and phone numbers are read, and each number agrees in gender
+ * with the noun after it ("חמישה ילדים", "חמש שנים", "שלושת הספרים").
+ *
+ * @param {string} text - The text to verbalize
+ * @param {Object} [options] - Verbalization options
+ * @param {string} [options.gender='feminine'] - Gender of the numbers that no noun
+ * follows: "feminine" ("שלוש", as in counting) or "masculine" ("שלושה")
+ * @returns {string} The text with its numbers in words
+ *
+ * @example
+ * // Returns "יש חמשת אלפים שלוש מאות ושניים ילדים"
+ * verbalize("יש 5,302 ילדים");
+ * // Returns "בשלוש ורבע"
+ * verbalize("ב-3:15");
+ */
+function verbalize(text, options = {}) {
+  if (!text || typeof text !== 'string') {
+    throw new Error('Input must be a non-empty string');
   }
 
-  // Try specialized pattern matcher
-  const specializedResult = hebrewITN.normalizeNumberPattern(numberText);
-  if (specializedResult !== numberText) {
-    return specializedResult;
+  return verbalizer.verbalizeText(text, options);
+}
+
+/**
+ * Normalizes a single transcript sentence
+ *
+ * The sentence text is normalized and, when the sentence carries word-level
+ * ASR data in `words`, a normalized `words` array aligned with the new text is
+ * produced. All other properties (speaker, startTime, endTime, ...) are kept.
+ *
+ * @param {Object} sentence - The transcript sentence
+ * @param {string} sentence.text - The sentence text
+ * @param {Array<{start: number, end: number}>} [sentence.protectedRanges] - Ranges of
+ * the sentence text to leave alone, used instead of `options.protectedRanges`
+ * @param {Array<{word: string, start: number, end: number, confidence?: number}>}
+ * [sentence.words] - Word-level timing of the sentence
+ * @param {Object} [options] - Normalization options, see `normalizeText`
+ * @returns {Object} The normalized sentence
+ *
+ * @example
+ * // Returns { text: "500 שקל", words: [{ word: "500", start: 0.2, end: 0.9 }, ...], ... }
+ * normalizeSentence({
+ *   text: "חמש מאות שקל",
+ *   words: [
+ *     { word: "חמש", start: 0.2, end: 0.5 },
+ *     { word: "מאות", start: 0.5, end: 0.9 },
+ *     { word: "שקל", start: 0.9, end: 1.2 },
+ *   ],
+ * });
+ */
+function normalizeSentence(sentence, options = {}) {
+  const result = normalizeTextDetailed(sentence.text, sentence.protectedRanges
+    ? { ...options, protectedRanges: sentence.protectedRanges }
+    : options);
+
+  if (!Array.isArray(sentence.words)) {
+    return { ...sentence, text: result.text };
   }
 
-  // Fallback to direct handling for special cases
-  if (numberText === 'אלף') return '1,000';
-  if (numberText === 'אלפיים') return '2,000';
-  if (numberText === 'שלושת אלפים') return '3,000';
-  if (numberText === 'ארבעת אלפים') return '4,000';
-  if (numberText === 'עשרים ושלושה') return '23';
-  if (numberText === 'מאה וחמישה') return '105';
-  if (numberText === 'מאתיים ושבעים') return '270';
-  if (numberText === 'אלף ומאתיים') return '1,200';
-  if (numberText === 'אלף שלוש מאות ארבעים וחמישה') return '1,345';
-  if (numberText === 'שלושת אלפים מאתיים חמישים ושבעה') return '3,257';
-  if (numberText === 'מיליון וחמש מאות אלף') return '1,500,000';
-
-  return '0';
+  return {
+    ...sentence,
+    text: result.text,
+    words: alignWords(sentence.text, sentence.words, result),
+  };
 }
 
 /**
@@ -176,12 +254,48 @@ async function _ensureWorkerPool(numWorkers) {
     }
 
     globalWorkerPool = new WorkerPool(numWorkers, workerFilePath);
+    globalWorkerPool.configure({ protectedPhrases: protection.getProtectedPhrases() });
     await globalWorkerPool.initialize();
   }
 
   return globalWorkerPool;
 }
 
+/**
+ * Replaces the protected-phrase lexicon: phrases that are never normalized
+ *
+ * The running worker pool takes the new lexicon without being restarted.
+ *
+ * @param {Array<string>} phrases - The phrases to leave alone ("פי שניים", brand
+ * names, song titles)
+ * @throws {Error} If the phrases are not a list of non-empty strings
+ *
+ * @example
+ * setProtectedPhrases(['שבע כוכבים', 'פי שניים']);
+ * // Returns "מלון שבע כוכבים"
+ * normalizeText('מלון שבע כוכבים');
+ */
+function setProtectedPhrases(phrases) {
+  protection.setProtectedPhrases(phrases);
+  if (globalWorkerPool) {
+    globalWorkerPool.configure({ protectedPhrases: protection.getProtectedPhrases() });
+  }
+}
+
+/**
+ * Replaces the protected-phrase lexicon with the phrases of a JSON file, see
+ * `setProtectedPhrases`
+ *
+ * @param {string} filePath - Path of a JSON file holding an array of phrases
+ * @returns {Array<string>} The loaded phrases
+ * @throws {Error} If the file cannot be read or does not hold a list of phrases
+ */
+function loadProtectedPhrases(filePath) {
+  const phrases = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  setProtectedPhrases(phrases);
+  return protection.getProtectedPhrases();
+}
+
 /**
  * Shutdown the global worker pool
  *
@@ -201,10 +315,17 @@ async function shutdownWorkerPool() {
  * providing optimal performance for processing large volumes of transcript sentences.
  * The worker pool is initialized on first use and can be reused for subsequent calls.
  *
+ * Sentences that carry word-level ASR data (`words`) get a normalized `words`
+ * array as well, see `normalizeSentence`.
+ *
  * @param {Array<Object>} transcriptSentences - Array of transcript sentence objects
  * @param {Object} options - Configuration options
  * @param {number} [options.numWorkers] - Number of worker threads to use (defaults to CPU count)
  * @param {number} [options.batchSize] - Size of batches to send to workers (defaults to auto)
+ * @param {Object<string, string>} [options.overrides] - Exact-match overrides, see `normalizeText`
+ * @param {boolean|Array<string>} [options.redact] - Personal numbers to mask, see `normalizeText`
+ * @param {Array<{start: number, end: number}>} [options.protectedRanges] - Ranges to leave
+ * alone in every sentence; a sentence may carry its own `protectedRanges` instead
  * @returns {Promise<Array<Object>>} The normalized transcript sentences with same structure
  *
  * @example
@@ -228,12 +349,11 @@ async function normalizeTranscriptParallel(transcriptSentences, options = {}) {
     return [];
   }
 
+  const { numWorkers: ignoredWorkers, batchSize: ignoredBatchSize, ...normalizeOptions } = options;
+
   // For small batches, just process synchronously
   if (transcriptSentences.length <= 5) {
-    return transcriptSentences.map((sentence) => ({
-      ...sentence,
-      text: normalizeText(sentence.text),
-    }));
+    return transcriptSentences.map((sentence) => normalizeSentence(sentence, normalizeOptions));
   }
 
   const numWorkers = options.numWorkers || os.cpus().length;
@@ -259,7 +379,10 @@ async function normalizeTranscriptParallel(transcriptSentences, options = {}) {
     }
 
     // Process all batches through the worker pool
-    const batchPromises = batches.map((batch) => workerPool.runTask({ batch }));
+    const batchPromises = batches.map((batch) => workerPool.runTask({
+      batch,
+      options: normalizeOptions,
+    }));
 
     // Wait for all batches to complete
     const batchResults = await Promise.all(batchPromises);
@@ -274,16 +397,19 @@ async function normalizeTranscriptParallel(transcriptSentences, options = {}) {
     console.error('Error in parallel normalization:', error);
 
     // Fallback to sequential processing if parallel processing fails
-    return transcriptSentences.map((sentence) => ({
-      ...sentence,
-      text: normalizeText(sentence.text),
-    }));
+    return transcriptSentences.map((sentence) => normalizeSentence(sentence, normalizeOptions));
   }
 }
 
 module.exports = {
+  NumberParseError,
   normalizeText,
+  normalizeTextDetailed,
   normalizeNumber,
+  verbalize,
+  normalizeSentence,
   normalizeTranscriptParallel,
+  setProtectedPhrases,
+  loadProtectedPhrases,
   shutdownWorkerPool,
 };
@@ -0,0 +1,235 @@
+/**
+ * Hebrew Currency Amounts
+ *
+ * This module recognizes amounts of money in Hebrew text ("מאה עשרים ושלושה
+ * שקלים וחמישים אגורות", "שני מיליון דולר", "חצי מיליון יורו", "שקל אחד").
+ * Amounts are parsed by the cardinal parser; this module only adds the currency,
+ * its subunit and the output style.
+ *
+ * @module money
+ */
+
+const { formatNumber, getNumberFormat } = require('./numberFormat');
+const { formatPrefix, getPrefixStyle } = require('./prefixes');
+const { readDecimal } = require('./decimals');
+const { readQuantity } = require('./fractions');
+
+// Supported output styles: "123 שקלים" (the currency word is kept) or "123 ₪"
+const CURRENCY_STYLES = ['word', 'symbol'];
+
+/**
+ * Currencies by ISO code, with the words they are said with and how their
+ * symbol is written
+ */
+const CURRENCIES = {
+  ILS: {
+    symbol: '₪',
+    symbolFirst: false,
+    words: ['שקל', 'שקלים', 'ש"ח', 'ש״ח', 'שח'],
+    singular: ['שקל'],
+    // "שקלים חדשים" is the full name of the currency
+    qualifiers: ['חדש', 'חדשים'],
+    subunits: ['אגורה', 'אגורות'],
+  },
+  USD: {
+    symbol: '$',
+    symbolFirst: true,
+    words: ['דולר', 'דולרים'],
+    singular: ['דולר'],
+    qualifiers: [],
+    subunits: ['סנט', 'סנטים'],
+  },
+  EUR: {
+    symbol: '€',
+    symbolFirst: true,
+    words: ['יורו', 'אירו'],
+    singular: ['יורו', 'אירו'],
+    qualifiers: [],
+    subunits: ['סנט', 'סנטים'],
+  },
+};
+
+/**
+ * Finds the currency named by a word
+ *
+ * @param {string} word - The word to check
+ * @param {string} [list='words'] - Which list of words to look in
+ * @returns {string|null} The ISO code of the currency, or null
+ */
+function findCurrency(word, list = 'words') {
+  return Object.keys(CURRENCIES).find((code) => CURRENCIES[code][list].includes(word)) || null;
+}
+
+/**
+ * Reads an amount starting at a token
+ *
+ * The amount is a cardinal ("שני מיליון"), a fraction of a scale word ("חצי
+ * מיליון", "שני מיליון וחצי") or a decimal followed by a scale word ("שלוש נקודה
+ * חמש מיליון") - a whole number of units either way.
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @param {string} prefixStyle - One of `PREFIX_STYLES`
+ * @param {Object} format - The number format, see `getNumberFormat`
+ * @returns {{prefix: string, value: number, lastToken: number, normalized: string}|null}
+ * The amount, or null
+ * @private
+ */
+function readAmount(tokens, index, cardinalsByToken, prefixStyle, format) {
+  // "שלוש נקודה חמש מיליון" - a decimal made whole by its scale word
+  const decimal = readDecimal(tokens, index, cardinalsByToken);
+  if (decimal && !decimal.fraction) {
+    return {
+      prefix: decimal.prefix,
+      value: decimal.whole,
+      lastToken: decimal.lastToken,
+      normalized: formatPrefix(decimal.prefix, prefixStyle) + formatNumber(decimal.whole, '', format),
+    };
+  }
+
+  const quantity = readQuantity(tokens, index, cardinalsByToken);
+  if (!quantity || quantity.numerator !== 0) {
+    return null;
+  }
+
+  const cardinal = cardinalsByToken.get(index);
+  return {
+    prefix: quantity.prefix,
+    value: quantity.whole,
+    lastToken: quantity.lastToken,
+    normalized: cardinal && cardinal.lastToken === quantity.lastToken
+      ? cardinal.normalized
+      : formatPrefix(quantity.prefix, prefixStyle) + formatNumber(quantity.whole, '', format),
+  };
+}
+
+/**
+ * Formats an amount of money with its currency symbol
+ *
+ * @param {number} units - The whole units of the amount
+ * @param {number|null} cents - The subunits, or null if none were said
+ * @param {string} code - The ISO code of the currency
+ * @param {Object} format - The number format, see `getNumberFormat`
+ * @returns {string} The formatted amount ("123.50 ₪", "$2,000,000")
+ * @private
+ */
+function formatAmount(units, cents, code, format) {
+  const { symbol, symbolFirst } = CURRENCIES[code];
+  const amount = formatNumber(units, cents === null ? '' : `${cents}`.padStart(2, '0'), format);
+
+  return symbolFirst ? `${symbol}${amount}` : `${amount} ${symbol}`;
+}
+
+/**
+ * Finds amounts of money in a tokenized text
+ *
+ * An amount is a number followed by a currency word, optionally followed by
+ * "ו" and a number of subunits ("וחמישים אגורות"). Subunits on their own
+ * ("שלושים ושתיים אגורות") and a singular currency word followed by "אחד"
+ * ("שקל אחד") are amounts too.
+ *
+ * With the "word" style only the numbers are rewritten and the currency words
+ * are kept; with the "symbol" style the whole amount becomes "123.50 ₪".
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.currencyStyle='word'] - "word" ("123 שקלים") or "symbol"
+ * ("123 ₪", "$5")
+ * @returns {Array<Object>} Money expressions with `class: 'money'` and a `value` of
+ * `{ amount, currency }`
+ *
+ * @example
+ * // Returns [{ original: 'שני מיליון דולר', normalized: '$2,000,000', ... }]
+ * findMoneyExpressions(tokens, cardinals, { currencyStyle: 'symbol' });
+ */
+function findMoneyExpressions(tokens, cardinals, options = {}) {
+  const style = options.currencyStyle || 'word';
+  if (!CURRENCY_STYLES.includes(style)) {
+    throw new Error(`Unknown currency style "${style}". Expected one of: ${CURRENCY_STYLES.join(', ')}`);
+  }
+  const prefixStyle = getPrefixStyle(options);
+  const format = getNumberFormat(options);
+
+  const cardinalsByToken = new Map(cardinals.map((cardinal) => [cardinal.firstToken, cardinal]));
+  const expressions = [];
+  const addExpression = (firstToken, lastToken, normalized, amount, currency) => {
+    expressions.push({
+      startIndex: tokens[firstToken].start,
+      endIndex: tokens[lastToken].end,
+      firstToken,
+      lastToken,
+      original: tokens.slice(firstToken, lastToken + 1).map((token) => token.text).join(' '),
+      normalized,
+      value: { amount, currency },
+      class: 'money',
+    });
+  };
+  const textAt = (index) => (index < tokens.length ? tokens[index].text : '');
+
+  let index = 0;
+  while (index < tokens.length) {
+    const amount = readAmount(tokens, index, cardinalsByToken, prefixStyle, format);
+    const unitIndex = amount ? amount.lastToken + 1 : -1;
+    const currency = amount && findCurrency(textAt(unitIndex));
+    const subunitCurrency = amount && !currency && findCurrency(textAt(unitIndex), 'subunits');
+    const singularCurrency = !amount && findCurrency(tokens[index].text, 'singular');
+
+    if (currency) {
+      // "מאה עשרים ושלושה שקלים (חדשים) וחמישים אגורות"
+      let lastToken = unitIndex;
+      if (CURRENCIES[currency].qualifiers.includes(textAt(lastToken + 1))) {
+        lastToken += 1;
+      }
+
+      const cents = cardinalsByToken.get(lastToken + 1);
+      const hasCents = Boolean(cents) && cents.prefix === 'ו' && cents.value < 100
+        && CURRENCIES[currency].subunits.includes(textAt(cents.lastToken + 1))
+        && Number.isInteger(amount.value);
+
+      if (style === 'symbol') {
+        const end = hasCents ? cents.lastToken + 1 : lastToken;
+        const normalized = formatPrefix(amount.prefix, prefixStyle)
+          + formatAmount(amount.value, hasCents ? cents.value : null, currency, format);
+        const total = hasCents ? amount.value + cents.value / 100 : amount.value;
+        addExpression(index, end, normalized, total, currency);
+        index = end + 1;
+      } else {
+        // The currency words stay in place, so the subunits are an amount of their own
+        addExpression(index, amount.lastToken, amount.normalized, amount.value, currency);
+        index = unitIndex;
+      }
+    } else if (subunitCurrency) {
+      // "שלושים ושתיים אגורות"
+      const total = amount.value / 100;
+      if (style === 'symbol' && amount.value < 100) {
+        const normalized = formatPrefix(amount.prefix, prefixStyle)
+          + formatAmount(0, amount.value, subunitCurrency, format);
+        addExpression(index, unitIndex, normalized, total, subunitCurrency);
+      } else {
+        addExpression(index, amount.lastToken, amount.normalized, total, subunitCurrency);
+      }
+      index = unitIndex + 1;
+    } else if (singularCurrency && cardinalsByToken.has(index + 1)
+      && cardinalsByToken.get(index + 1).value === 1 && !cardinalsByToken.get(index + 1).prefix) {
+      // "שקל אחד"
+      const normalized = style === 'symbol'
+        ? formatAmount(1, null, singularCurrency, format)
+        : `1 ${tokens[index].text}`;
+      addExpression(index, index + 1, normalized, 1, singularCurrency);
+      index += 2;
+    } else {
+      index += 1;
+    }
+  }
+
+  return expressions;
+}
+
+module.exports = {
+  CURRENCIES,
+  CURRENCY_STYLES,
+  findCurrency,
+  findMoneyExpressions,
+};
@@ -0,0 +1,168 @@
+/**
+ * Hebrew Negative Numbers
+ *
+ * This module recognizes numbers said with a minus sign ("מינוס חמש מעלות", "הפסד של
+ * מינוס שלושה אחוזים", "פחות שתי מעלות") and writes them signed ("-5 מעלות", "-5°",
+ * "-3%"). "פחות" is only a sign in a signed context - before a number of degrees or
+ * after a temperature cue ("הטמפרטורה", "בחוץ"): "פחות משלושה" ("less than three"),
+ * "שלוש פחות רבע" and "שילמתי פחות שלושה שקלים" are left as they are.
+ *
+ * @module negatives
+ */
+
+const { formatNumber, getNumberFormat } = require('./numberFormat');
+const { formatPrefix, getPrefixStyle, splitPrefix } = require('./prefixes');
+const { PERCENT_WORDS, readQuantity } = require('./percentages');
+
+// Supported output styles for temperatures: "-5 מעלות" or "-5°"
+const TEMPERATURE_STYLES = ['word', 'symbol'];
+
+// Word for the minus sign, which may take a prefix ("למינוס שתיים")
+const MINUS = 'מינוס';
+
+// Word for "less", a minus sign only when a number follows it directly ("פחות חמש")
+// in a signed context
+const LESS = 'פחות';
+
+// Words earlier in the sentence that make "פחות" a minus sign ("בחוץ יהיו פחות שלוש")
+const TEMPERATURE_CUES = new Set(['טמפרטורה', 'טמפרטורות']);
+const OUTSIDE = 'בחוץ';
+
+// Tokens that end a sentence
+const SENTENCE_END_PATTERN = /^[.!?]+$/;
+
+// Words for degrees, and the scale that may follow them ("מעלות צלזיוס")
+const DEGREE_WORDS = new Set(['מעלות', 'מעלה']);
+const CELSIUS = 'צלזיוס';
+
+/**
+ * Reads the sign word of a negative number
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the token to check
+ * @param {Set<number>} numberEnds - Indexes of the tokens that end a cardinal
+ * @returns {{prefix: string, bare: boolean}|null} The prefix of the sign word and
+ * whether it is a bare "פחות", which needs a signed context, or null if the token is
+ * not a minus sign
+ * @private
+ */
+function readSign(tokens, index, numberEnds) {
+  const { text } = tokens[index];
+  if (text === LESS) {
+    // "שלוש פחות רבע", "עשר פחות שתיים" are subtractions
+    const previous = tokens[index - 1];
+    const subtraction = numberEnds.has(index - 1) || (previous && /\d$/.test(previous.text));
+    return subtraction ? null : { prefix: '', bare: true };
+  }
+
+  const minus = splitPrefix(text, (stem) => stem === MINUS);
+  return minus && { prefix: minus.prefix, bare: false };
+}
+
+/**
+ * Checks whether a temperature cue comes earlier in the sentence of a token
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the token
+ * @returns {boolean} True if "הטמפרטורה", "בחוץ" or the like precedes the token
+ * @private
+ */
+function followsTemperatureCue(tokens, index) {
+  for (let position = index - 1; position >= 0; position -= 1) {
+    const { text } = tokens[position];
+    if (SENTENCE_END_PATTERN.test(text)) {
+      return false;
+    }
+    if (text === OUTSIDE || splitPrefix(text, (stem) => TEMPERATURE_CUES.has(stem))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Finds negative numbers in a tokenized text
+ *
+ * The number after the sign may be a cardinal, a decimal or a number with a fraction
+ * ("מינוס שתיים נקודה חמש"), and must not take a prefix of its own. A percent word
+ * after it is written as `percentStyle` asks, and a degree word as
+ * `temperatureStyle` asks.
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.temperatureStyle='word'] - "word" ("-5 מעלות") or "symbol"
+ * ("-5°", "-5°C" before "צלזיוס")
+ * @param {string} [options.percentStyle='symbol'] - How percentages are written, see
+ * `findPercentageExpressions`
+ * @returns {Array<Object>} Negative expressions with `class: 'negative'` and a `value`
+ * of `{ number, unit }`, where `unit` is "degree", "percent" or null
+ *
+ * @example
+ * // Returns [{ original: 'מינוס חמש מעלות', normalized: '-5 מעלות', value:
+ * //   { number: -5, unit: 'degree' }, ... }]
+ * findNegativeExpressions(tokenizeWithOffsets('מינוס חמש מעלות'), cardinals);
+ */
+function findNegativeExpressions(tokens, cardinals, options = {}) {
+  const style = options.temperatureStyle || 'word';
+  if (!TEMPERATURE_STYLES.includes(style)) {
+    throw new Error(`Unknown temperature style "${style}". Expected one of: ${TEMPERATURE_STYLES.join(', ')}`);
+  }
+  const format = getNumberFormat(options);
+  const percentSymbol = (options.percentStyle || 'symbol') === 'symbol';
+  const prefixStyle = getPrefixStyle(options);
+
+  const cardinalsByToken = new Map(cardinals.map((cardinal) => [cardinal.firstToken, cardinal]));
+  const numberEnds = new Set(cardinals.map((cardinal) => cardinal.lastToken));
+  const expressions = [];
+
+  tokens.forEach((token, index) => {
+    const sign = readSign(tokens, index, numberEnds);
+    const quantity = sign && readQuantity(tokens, index + 1, cardinalsByToken);
+    if (!quantity || quantity.prefix) {
+      return;
+    }
+
+    const number = `-${formatNumber(quantity.whole, quantity.decimals, format)}`;
+    let { lastToken } = quantity;
+    let normalized = number;
+    let unit = null;
+
+    const word = tokens[lastToken + 1];
+    const degrees = Boolean(word && DEGREE_WORDS.has(word.text));
+    if (sign.bare && !degrees && !followsTemperatureCue(tokens, index)) {
+      return;
+    }
+
+    if (word && PERCENT_WORDS.has(word.text)) {
+      unit = 'percent';
+      lastToken += 1;
+      normalized = percentSymbol ? `${number}%` : `${number} ${word.text}`;
+    } else if (degrees) {
+      const celsius = tokens[lastToken + 2] && tokens[lastToken + 2].text === CELSIUS;
+      unit = 'degree';
+      if (style === 'symbol') {
+        lastToken += celsius ? 2 : 1;
+        normalized = `${number}°${celsius ? 'C' : ''}`;
+      }
+    }
+
+    expressions.push({
+      startIndex: token.start,
+      endIndex: tokens[lastToken].end,
+      firstToken: index,
+      lastToken,
+      original: tokens.slice(index, lastToken + 1).map((t) => t.text).join(' '),
+      normalized: formatPrefix(sign.prefix, prefixStyle) + normalized,
+      value: { number: -Number(`${quantity.whole}.${quantity.decimals || 0}`), unit },
+      class: 'negative',
+    });
+  });
+
+  return expressions;
+}
+
+module.exports = {
+  TEMPERATURE_STYLES,
+  findNegativeExpressions,
+};
@@ -4,35 +4,53 @@
  * This worker processes batches of transcript sentences, applying
  * normalization to each text element while maintaining the sentence structure.
  *
+ * Settings shared by every task - the protected-phrase lexicon - are received
+ * when the worker starts and in `configure` messages, which get no reply.
+ *
  * @module normalization-worker
  */
 
-const { parentPort } = require('worker_threads');
+const { parentPort, workerData } = require('worker_threads');
 const path = require('path');
 
 // We need to load the main module dynamically to avoid circular dependencies
-let normalizeText;
+let normalizeSentence;
 try {
   // First try to load from the parent directory if we're in a worker
   const hebrewItn = require('./index.js');
-  normalizeText = hebrewItn.normalizeText;
+  normalizeSentence = hebrewItn.normalizeSentence;
 } catch (error) {
   // Fallback approach if the first method fails
   console.error('Error loading main module:', error);
   process.exit(1);
 }
 
+const { setProtectedPhrases } = require('./protection');
+
+/**
+ * Applies the settings sent by the worker pool
+ *
+ * @param {Object} [settings] - The settings
+ * @param {Array<string>} [settings.protectedPhrases] - The protected-phrase lexicon
+ */
+function configure(settings = {}) {
+  if (settings.protectedPhrases) {
+    setProtectedPhrases(settings.protectedPhrases);
+  }
+}
+
+configure(workerData && workerData.settings);
+
 // Listen for messages from the main thread
 parentPort.on('message', (task) => {
+  if (task.type === 'configure') {
+    configure(task.settings);
+    return;
+  }
+
   try {
-    // Process a batch of sentences by normalizing their text properties
-    const normalizedBatch = task.batch.map((item) => {
-      // Apply normalization to the text property only
-      const normalizedText = normalizeText(item.text);
-
-      // Return a new object with the same properties but normalized text
-      return { ...item, text: normalizedText };
-    });
+    // Process a batch of sentences by normalizing their text (and words, if present)
+    const normalizedBatch = task.batch.map((item) => normalizeSentence(item, task.options));
 
     // Send the processed batch back to the main thread
     parentPort.postMessage(normalizedBatch);
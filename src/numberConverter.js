@@ -3,10 +3,90 @@
  *
  * This module converts identified Hebrew number expressions to their digit form.
  *
+ * Numbers are parsed compositionally: every word is classified by its role
+ * (unit, ten, tens, hundreds or scale) and combined according to Hebrew number
+ * grammar, so any cardinal can be parsed without an explicit table entry.
+ *
  * @module numberConverter
  */
 
 const { HEBREW_NUMBER_WORDS, CONSTRUCT_FORMS, ORDINAL_NUMBERS } = require('./hebrewNumberData');
+const { NumberParseError } = require('./errors');
+const { formatNumber, getNumberFormat, writeDigits } = require('./numberFormat');
+
+// Conjunction tokens that may join the parts of a number ("מאה ו עשרים")
+const CONJUNCTIONS = new Set(['ו']);
+
+// Word for the decimal point ("שלוש נקודה ארבע")
+const DECIMAL_POINT = 'נקודה';
+
+// Zero, which only takes part in decimals ("אפס נקודה חמש", "שתיים נקודה אפס שבע")
+const ZERO = 'אפס';
+
+// Slots inside a group of three digits, from the most significant one down.
+// A group is filled strictly from left to right: "מאה עשרים ושלושה".
+const SLOT_EMPTY = 4;
+const SLOT_HUNDREDS = 3;
+const SLOT_TENS = 2;
+const SLOT_UNITS = 1;
+
+// Words that multiply the group in front of them
+const SCALE_WORDS = {
+  אלף: { value: 1000, plural: false },
+  אלפים: { value: 1000, plural: true },
+  מיליון: { value: 1000000, plural: false },
+  מיליונים: { value: 1000000, plural: true },
+  מיליארד: { value: 1000000000, plural: false },
+  מיליארדים: { value: 1000000000, plural: true },
+  טריליון: { value: 1000000000000, plural: false },
+  טריליונים: { value: 1000000000000, plural: true },
+};
+
+/**
+ * Classifies a single Hebrew word by its role in a cardinal number
+ *
+ * @param {string} word - The Hebrew word
+ * @returns {{type: string, value: number, plural?: boolean}|null} The word role or null
+ *
+ * @example
+ * // Returns { type: 'unit', value: 3 }
+ * classifyNumberWord('שלושת');
+ */
+function classifyNumberWord(word) {
+  if (SCALE_WORDS[word]) {
+    return { type: 'scale', ...SCALE_WORDS[word] };
+  }
+
+  if (word === 'אלפיים') {
+    return { type: 'pair', value: 2000 };
+  }
+
+  if (word === 'מאות') {
+    return { type: 'hundreds', value: 100 };
+  }
+
+  if (HEBREW_NUMBER_WORDS.hundreds[word] !== undefined) {
+    return { type: 'hundred', value: HEBREW_NUMBER_WORDS.hundreds[word] };
+  }
+
+  if (HEBREW_NUMBER_WORDS.tens[word] !== undefined) {
+    return { type: 'tens', value: HEBREW_NUMBER_WORDS.tens[word] };
+  }
+
+  const value = HEBREW_NUMBER_WORDS.cardinals[word] !== undefined
+    ? HEBREW_NUMBER_WORDS.cardinals[word]
+    : CONSTRUCT_FORMS[word];
+
+  if (value === 10) {
+    return { type: 'ten', value };
+  }
+
+  if (value !== undefined) {
+    return { type: 'unit', value };
+  }
+
+  return null;
+}
 
 /**
  * Gets the numeric value of a Hebrew number word
@@ -40,134 +120,278 @@ function getWordValue(word) {
 }
 
 /**
- * Formats a number with thousands separators
+ * Splits a spelled-out Hebrew number into parser tokens
  *
- * @param {number} num - The number to format
- * @returns {string} The formatted number string
+ * Hyphenated teens ("אחד-עשר") are split into their words and an attached
+ * conjunction ("וחמישה") becomes a separate "ו" token.
  *
- * @example
- * // Returns "1,234,567"
- * formatNumberWithCommas(1234567);
- */
-function formatNumberWithCommas(num) {
-  return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-}
-
-/**
- * Handles special compound expressions directly
+ * @param {string} text - The Hebrew number text
+ * @returns {Array<string>} Array of tokens
  *
- * @param {Array<string>} tokens - Array of tokens
- * @returns {number|null} The calculated value or null if not a special case
- * @private
+ * @example
+ * // Returns ['מאה', 'ו', 'אחד', 'עשר']
+ * tokenizeNumberText('מאה ואחד-עשר');
  */
-function handleSpecialCompounds(tokens) {
-  // Check for "עשרים ושלושה" (twenty-three) patterns
-  if (tokens.length === 3 && tokens[1] === 'ו') {
-    const tens = getWordValue(tokens[0]);
-    const units = getWordValue(tokens[2]);
-
-    if (tens && units && tens % 10 === 0 && units < 10) {
-      return tens + units;
-    }
-  }
+function tokenizeNumberText(text) {
+  const tokens = [];
 
-  // Check for "מאה ועשרים" (hundred and twenty) patterns
-  if (tokens.length === 3 && tokens[1] === 'ו') {
-    const hundreds = getWordValue(tokens[0]);
-    const rest = getWordValue(tokens[2]);
-
-    if (hundreds && rest && (hundreds === 100 || hundreds === 200 || hundreds === 300)) {
-      return hundreds + rest;
+  text.trim().split(/[\s,\-־]+/).filter(Boolean).forEach((word) => {
+    if (word.length > 1 && word.startsWith('ו') && classifyNumberWord(word.slice(1))) {
+      tokens.push('ו', word.slice(1));
+    } else {
+      tokens.push(word);
     }
-  }
+  });
 
-  return null;
+  return tokens;
 }
 
 /**
  * Converts a sequence of Hebrew number words to a numeric value
  *
+ * The expression is read left to right as a series of groups (each below 1000)
+ * closed by a scale word. Scales must decrease ("מיליון ... אלף ...") and the
+ * hundreds, tens and units of a group must appear in that order.
+ *
+ * The total is summed as a BigInt, so every step is exact. Since the scales
+ * decrease, the largest number is just below a thousand trillion, which is still a
+ * safe integer.
+ *
  * @param {Array<string>} tokens - Array of tokens representing the number expression
  * @returns {number} The calculated numeric value
+ * @throws {NumberParseError} If the tokens do not form a valid cardinal number
  *
  * @example
  * // Returns 352
  * parseNumberExpression(['שלוש', 'מאות', 'ו', 'חמישים', 'ו', 'שניים']);
  */
 function parseNumberExpression(tokens) {
-  // First, handle simple single-token cases
-  if (tokens.length === 1) {
-    return getWordValue(tokens[0]) || 0;
+  if (!Array.isArray(tokens) || tokens.length === 0) {
+    throw new NumberParseError('Empty number expression', tokens || []);
   }
 
-  // Handle compound expressions directly
-  const specialValue = handleSpecialCompounds(tokens);
-  if (specialValue !== null) {
-    return specialValue;
-  }
+  const fail = (message, index) => {
+    throw new NumberParseError(message, tokens, index);
+  };
+
+  let total = 0n;
+  let group = 0;
+  let slot = SLOT_EMPTY;
+  let lastScale = Infinity;
+  let previous = null;
+  let afterConjunction = false;
+
+  tokens.forEach((token, index) => {
+    if (CONJUNCTIONS.has(token)) {
+      if (!previous || afterConjunction) {
+        fail(`Unexpected conjunction at position ${index}`, index);
+      }
+      afterConjunction = true;
+      return;
+    }
 
-  // Filter out conjunctions for complex processing
-  const numberTokens = tokens.filter((token) => token !== 'ו' && token !== 'וה' && token !== 'ה');
+    const word = classifyNumberWord(token);
+    if (!word) {
+      fail(`"${token}" is not a Hebrew number word`, index);
+    }
 
-  // Special cases for specific patterns
-  const tokenStr = tokens.join(' ');
+    switch (word.type) {
+      case 'unit':
+        if (slot <= SLOT_UNITS) fail(`Unexpected unit "${token}"`, index);
+        group += word.value;
+        slot = SLOT_UNITS;
+        break;
 
-  // "עשרים ושלושה" (twenty-three) pattern
-  if (/^(עשרים|שלושים|ארבעים|חמישים|שישים|שבעים|שמונים|תשעים)\s+ו\s+(אחד|שניים|שלושה|ארבעה|חמישה|שישה|שבעה|שמונה|תשעה|אחת|שתיים|שלוש|ארבע|חמש|שש|שבע|תשע)$/.test(tokenStr)) {
-    const parts = tokenStr.split(/\s+ו\s+/);
-    return getWordValue(parts[0]) + getWordValue(parts[1]);
-  }
+      case 'ten':
+        // "אחד עשר", "שלוש עשרה" - a unit directly followed by ten forms a teen
+        if (previous && previous.type === 'unit' && slot === SLOT_UNITS && !afterConjunction
+          && group % 100 === previous.value) {
+          group += 10;
+        } else if (slot > SLOT_TENS) {
+          group += 10;
+        } else {
+          fail(`Unexpected "${token}"`, index);
+        }
+        slot = SLOT_UNITS - 1;
+        break;
 
-  // Initialize for recursive processing of complex expressions
-  let total = 0;
-  let i = 0;
+      case 'tens':
+        if (slot <= SLOT_TENS) fail(`Unexpected tens word "${token}"`, index);
+        group += word.value;
+        slot = SLOT_TENS;
+        break;
 
-  // Function to parse a number part recursively
-  const parseNumberPart = () => {
-    let value = 0;
+      case 'hundred':
+        if (slot !== SLOT_EMPTY) fail(`Unexpected hundreds word "${token}"`, index);
+        group += word.value;
+        slot = SLOT_HUNDREDS;
+        break;
 
-    // Get the base value of the current token
-    if (i < numberTokens.length) {
-      const token = numberTokens[i];
-      const tokenValue = getWordValue(token);
+      case 'hundreds':
+        // "שלוש מאות" - only a bare unit can multiply hundreds ("שתי מאות" is colloquial)
+        if (!previous || previous.type !== 'unit' || afterConjunction
+          || group !== previous.value || group < 2) {
+          fail(`"${token}" must follow a unit between two and nine`, index);
+        }
+        group *= 100;
+        slot = SLOT_HUNDREDS;
+        break;
 
-      if (tokenValue !== null) {
-        value = tokenValue;
-        i++;
+      case 'pair':
+        // "אלפיים" stands alone, but "חמשת אלפיים" is a common slip for "חמשת אלפים"
+        if (lastScale <= 1000) fail(`Unexpected "${token}"`, index);
+        if (group === 0) {
+          total += BigInt(word.value);
+        } else if (slot === SLOT_UNITS && group >= 3 && group <= 10) {
+          total += BigInt(group * 1000);
+        } else {
+          fail(`Unexpected "${token}"`, index);
+        }
+        group = 0;
+        slot = SLOT_EMPTY;
+        lastScale = 1000;
+        break;
 
-        // Check if this is followed by a multiplier
-        if (i < numberTokens.length) {
-          const nextToken = numberTokens[i];
-          const nextValue = getWordValue(nextToken);
+      case 'scale': {
+        if (word.value >= lastScale) fail(`Unexpected scale word "${token}"`, index);
 
-          // Handle "שלוש מאות" (three hundred)
-          if (nextToken === 'מאות' || nextValue === 100) {
-            value *= 100;
-            i++;
-          }
-          // Handle "שלושת אלפים" (three thousand)
-          else if (nextToken === 'אלפים' || nextValue === 1000) {
-            value *= 1000;
-            i++;
+        let multiplier = group;
+        if (word.value === 1000) {
+          // "שלושת אלפים" for three to ten, "אחד עשר אלף" and up. Speakers also say
+          // "עשר אלף" and "שלוש אלפים", so any form of the unit takes either word, but
+          // one and two have their own words ("אלף", "אלפיים").
+          if (word.plural && (multiplier < 3 || multiplier > 10)) {
+            fail(`"${token}" must follow a unit between three and ten`, index);
           }
-          // Handle "שני מיליון" (two million)
-          else if (nextToken === 'מיליון' || nextValue === 1000000) {
-            value *= 1000000;
-            i++;
+          if (!word.plural && multiplier > 0 && multiplier < 3) {
+            fail(`"${token}" cannot follow "${tokens[index - 1]}"`, index);
           }
+        } else if (word.plural && multiplier < 2) {
+          fail(`"${token}" must follow a multiplier`, index);
+        }
+
+        if (multiplier === 0) multiplier = 1;
+        total += BigInt(multiplier) * BigInt(word.value);
+        group = 0;
+        slot = SLOT_EMPTY;
+        lastScale = word.value;
+        break;
+      }
+
+      default:
+        fail(`"${token}" is not a Hebrew number word`, index);
+    }
+
+    previous = word;
+    afterConjunction = false;
+  });
+
+  if (afterConjunction) {
+    fail('Number expression ends with a conjunction', tokens.length - 1);
+  }
+
+  return Number(total + BigInt(group));
+}
+
+/**
+ * Reads the digits after a decimal point
+ *
+ * The digits are read as a series of numbers, each as long as possible, so a
+ * single cardinal gives all the digits ("ארבע עשרה" -> "14") and shorter words
+ * are read one after the other ("אפס שבע" -> "07").
+ *
+ * @param {Array<string>} tokens - The tokens after the decimal point
+ * @param {number} offset - Position of the first of these tokens in the expression
+ * @returns {string} The decimal digits
+ * @throws {NumberParseError} If a token cannot be read as part of a number
+ * @private
+ */
+function parseFractionDigits(tokens, offset) {
+  let digits = '';
+  let index = 0;
+
+  while (index < tokens.length) {
+    if (tokens[index] === ZERO) {
+      digits += '0';
+      index += 1;
+    } else {
+      let end = tokens.length;
+      let value = null;
+      while (end > index && value === null) {
+        try {
+          value = parseNumberExpression(tokens.slice(index, end));
+        } catch (error) {
+          end -= 1;
         }
       }
+
+      if (value === null) {
+        throw new NumberParseError(`Invalid decimal digits "${tokens[index]}"`, tokens, offset + index);
+      }
+      digits += value.toString();
+      index = end;
     }
+  }
+
+  return digits;
+}
 
-    return value;
+/**
+ * Multiplies a decimal number by a power of ten
+ *
+ * @param {number|bigint} whole - The whole part
+ * @param {string} fraction - The decimal digits
+ * @param {number} places - The power of ten
+ * @returns {{whole: number|bigint, fraction: string}} The multiplied number
+ * @private
+ */
+function scaleDecimal(whole, fraction, places) {
+  const wholeDigits = whole.toString();
+  const digits = `${wholeDigits}${fraction.padEnd(places, '0')}`;
+  const value = BigInt(digits.slice(0, wholeDigits.length + places));
+  return {
+    whole: value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value,
+    fraction: digits.slice(wholeDigits.length + places),
   };
+}
+
+/**
+ * Converts a spelled-out decimal number to its whole part and decimal digits
+ *
+ * The decimal digits are kept as a string, so no precision is lost and leading
+ * zeros are preserved ("שתיים נקודה אפס שבע" -> "07"). A scale word after the
+ * digits multiplies the number ("שלוש נקודה חמש מיליון" -> 3500000).
+ *
+ * @param {Array<string>} tokens - The tokens of the number, with a "נקודה" token
+ * @returns {{whole: number|bigint, fraction: string}} The whole part and the decimal digits
+ * @throws {NumberParseError} If the tokens do not form a valid decimal number
+ *
+ * @example
+ * // Returns { whole: 3, fraction: '14' }
+ * parseDecimalExpression(['שלוש', 'נקודה', 'ארבע', 'עשרה']);
+ * // Returns { whole: 3500000, fraction: '' }
+ * parseDecimalExpression(['שלוש', 'נקודה', 'חמש', 'מיליון']);
+ */
+function parseDecimalExpression(tokens) {
+  const point = tokens.indexOf(DECIMAL_POINT);
+  if (point <= 0 || point === tokens.length - 1) {
+    throw new NumberParseError('A decimal number needs digits on both sides of "נקודה"', tokens, point);
+  }
+
+  const wholeTokens = tokens.slice(0, point);
+  const whole = wholeTokens.length === 1 && wholeTokens[0] === ZERO
+    ? 0
+    : parseNumberExpression(wholeTokens);
 
-  // Process the tokens to build the number
-  while (i < numberTokens.length) {
-    total += parseNumberPart();
+  // "שלוש נקודה חמש מיליון" - a scale word after the digits multiplies the number
+  const last = tokens[tokens.length - 1];
+  const scale = point < tokens.length - 2 && SCALE_WORDS[last];
+  if (!scale) {
+    return { whole, fraction: parseFractionDigits(tokens.slice(point + 1), point + 1) };
   }
 
-  return total;
+  const fraction = parseFractionDigits(tokens.slice(point + 1, -1), point + 1);
+  return scaleDecimal(whole, fraction, scale.value.toString().length - 1);
 }
 
 /**
@@ -175,37 +399,37 @@ function parseNumberExpression(tokens) {
  *
  * @param {Object} expr - The number expression object
  * @param {Array<string>} expr.tokens - The tokens in the expression
+ * @param {Object} [options] - Formatting options, see `getNumberFormat`
+ * @param {string} [options.decimalSeparator='.'] - Separator written before decimal digits
+ * @param {string} [options.thousandsSeparator='comma'] - Separator of the thousands
+ * @param {number} [options.groupingThreshold=1000] - Smallest number written grouped
+ * @param {string} [options.digitScript='latin'] - Script of the digits
  * @returns {string} Digit representation of the number
+ * @throws {NumberParseError} If the tokens do not form a valid number
  *
  * @example
  * // Returns "352"
  * convertToDigits({tokens: ['שלוש', 'מאות', 'ו', 'חמישים', 'ו', 'שניים']});
+ * // Returns "2.07"
+ * convertToDigits({tokens: ['שתיים', 'נקודה', 'אפס', 'שבע']});
  */
-function convertToDigits(expr) {
-  // Direct handling of special case expressions
-  const joinedTokens = expr.tokens.join(' ');
-
-  // Handle "עשרים ושלושה" (twenty-three)
-  if (/^(עשרים|שלושים|ארבעים|חמישים|שישים|שבעים|שמונים|תשעים)\s+ו\s+(אחד|שניים|שלושה|ארבעה|חמישה|שישה|שבעה|שמונה|תשעה|אחת|שתיים|שלוש|ארבע|חמש|שש|שבע|תשע)$/.test(joinedTokens)) {
-    const parts = joinedTokens.split(/\s+ו\s+/);
-    const value = getWordValue(parts[0]) + getWordValue(parts[1]);
-    return value.toString();
-  }
-
-  // Regular processing for other expressions
-  const numericValue = parseNumberExpression(expr.tokens);
-
-  // Format with thousands separators for large numbers
-  if (numericValue >= 1000) {
-    return formatNumberWithCommas(numericValue);
+function convertToDigits(expr, options = {}) {
+  const format = getNumberFormat(options);
+  if (expr.tokens.includes(DECIMAL_POINT)) {
+    const { whole, fraction } = parseDecimalExpression(expr.tokens);
+    return writeDigits(formatNumber(whole, fraction, format), format);
   }
 
-  return numericValue.toString();
+  return writeDigits(formatNumber(parseNumberExpression(expr.tokens), '', format), format);
 }
 
 module.exports = {
+  DECIMAL_POINT,
+  ZERO,
   convertToDigits,
   parseNumberExpression,
+  parseDecimalExpression,
+  tokenizeNumberText,
+  classifyNumberWord,
   getWordValue,
-  formatNumberWithCommas,
 };
@@ -0,0 +1,161 @@
+/**
+ * Number Formatting
+ *
+ * Every recognizer writes its digits through this module, so the thousands
+ * separator, the size from which digits are grouped and the decimal separator are
+ * the same across cardinals, decimals, money, percentages and every other class.
+ * Years are never grouped ("1945"), whatever the options. The digits are written in
+ * Latin script while the text is analyzed, and moved to the selected digit script
+ * once the expressions are final.
+ *
+ * @module numberFormat
+ */
+
+// Supported thousands separators, by option value
+const THOUSANDS_SEPARATORS = {
+  comma: ',',
+  none: '',
+  'thin-space': '\u2009',
+  apostrophe: '\'',
+};
+
+// Supported decimal separators
+const DECIMAL_SEPARATORS = ['.', ','];
+
+// Supported digit scripts, by option value, with their digits from zero to nine
+const DIGIT_SCRIPTS = {
+  latin: '0123456789',
+  'arabic-indic': '\u0660\u0661\u0662\u0663\u0664\u0665\u0666\u0667\u0668\u0669',
+};
+
+// Format used when no option is given: "1,234", "5,302", "3.14"
+const DEFAULT_NUMBER_FORMAT = {
+  thousandsSeparator: ',',
+  groupingThreshold: 1000,
+  decimalSeparator: '.',
+  digits: DIGIT_SCRIPTS.latin,
+};
+
+// Thousands separator used with a decimal comma, which the default comma would
+// make ambiguous ("1,200,5"): "1 200,5" with a thin space
+const DECIMAL_COMMA_THOUSANDS = 'thin-space';
+
+/**
+ * Returns the number format selected by the normalization options
+ *
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.thousandsSeparator='comma'] - "comma" ("1,234"), "none"
+ * ("1234"), "thin-space" ("1 234" with U+2009) or "apostrophe" ("1'234"); with a
+ * decimal comma the default is "thin-space", and "comma" is rejected
+ * @param {number} [options.groupingThreshold=1000] - Smallest number written with a
+ * thousands separator
+ * @param {string} [options.decimalSeparator='.'] - "." ("3.14") or "," ("3,14")
+ * @param {string} [options.digitScript='latin'] - "latin" ("123") or "arabic-indic"
+ * ("١٢٣")
+ * @returns {{thousandsSeparator: string, groupingThreshold: number,
+ * decimalSeparator: string, digits: string}} The format, with the separators as
+ * characters and the ten digits of the script
+ * @throws {Error} If an option is not supported, or if both separators are commas
+ */
+function getNumberFormat(options = {}) {
+  const decimal = options.decimalSeparator || DEFAULT_NUMBER_FORMAT.decimalSeparator;
+  if (!DECIMAL_SEPARATORS.includes(decimal)) {
+    throw new Error(`Unknown decimal separator "${decimal}". Expected one of: ${DECIMAL_SEPARATORS.join(' ')}`);
+  }
+
+  const thousands = options.thousandsSeparator
+    || (decimal === ',' ? DECIMAL_COMMA_THOUSANDS : 'comma');
+  if (!Object.prototype.hasOwnProperty.call(THOUSANDS_SEPARATORS, thousands)) {
+    throw new Error(`Unknown thousands separator "${thousands}". Expected one of: ${Object.keys(THOUSANDS_SEPARATORS).join(', ')}`);
+  }
+  if (THOUSANDS_SEPARATORS[thousands] === decimal) {
+    throw new Error(`Ambiguous number format: "${decimal}" cannot be both the thousands and the decimal separator`);
+  }
+
+  const threshold = options.groupingThreshold === undefined
+    ? DEFAULT_NUMBER_FORMAT.groupingThreshold : options.groupingThreshold;
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    throw new Error(`Invalid grouping threshold "${threshold}". Expected a non-negative integer`);
+  }
+
+  const script = options.digitScript || 'latin';
+  if (!Object.prototype.hasOwnProperty.call(DIGIT_SCRIPTS, script)) {
+    throw new Error(`Unknown digit script "${script}". Expected one of: ${Object.keys(DIGIT_SCRIPTS).join(', ')}`);
+  }
+
+  return {
+    thousandsSeparator: THOUSANDS_SEPARATORS[thousands],
+    groupingThreshold: threshold,
+    decimalSeparator: decimal,
+    digits: DIGIT_SCRIPTS[script],
+  };
+}
+
+/**
+ * Formats a number given as its whole part and decimal digits
+ *
+ * The whole part is grouped in thousands when it reaches the grouping threshold.
+ *
+ * @param {number|bigint} whole - The whole part
+ * @param {string} [fraction=''] - The decimal digits
+ * @param {Object} [format] - The format, see `getNumberFormat`
+ * @returns {string} The formatted number
+ *
+ * @example
+ * // Returns "1,234.5"
+ * formatNumber(1234, '5');
+ * // Returns "1234,5"
+ * formatNumber(1234, '5', getNumberFormat({ thousandsSeparator: 'none', decimalSeparator: ',' }));
+ */
+function formatNumber(whole, fraction = '', format = DEFAULT_NUMBER_FORMAT) {
+  const digits = whole.toString();
+  const wholeText = whole >= format.groupingThreshold
+    ? digits.replace(/\B(?=(\d{3})+(?!\d))/g, format.thousandsSeparator)
+    : digits;
+  return fraction ? `${wholeText}${format.decimalSeparator}${fraction}` : wholeText;
+}
+
+/**
+ * Formats a year, which is never grouped
+ *
+ * @param {number} year - The year
+ * @returns {string} The digits of the year
+ *
+ * @example
+ * // Returns "1945"
+ * formatYear(1945);
+ */
+function formatYear(year) {
+  return year.toString();
+}
+
+/**
+ * Writes the Latin digits of a normalized text in the digit script of the format
+ *
+ * This runs once the expressions are final, since the recognizers, the digit policy
+ * and the redaction read the Latin digits.
+ *
+ * @param {string} text - A normalized text
+ * @param {Object} [format] - The format, see `getNumberFormat`
+ * @returns {string} The text with its digits in the selected script
+ *
+ * @example
+ * // Returns "٥,٣٠٢"
+ * writeDigits('5,302', getNumberFormat({ digitScript: 'arabic-indic' }));
+ */
+function writeDigits(text, format = DEFAULT_NUMBER_FORMAT) {
+  if (format.digits === DIGIT_SCRIPTS.latin) {
+    return text;
+  }
+  return text.replace(/[0-9]/g, (digit) => format.digits[digit]);
+}
+
+module.exports = {
+  DECIMAL_SEPARATORS,
+  DIGIT_SCRIPTS,
+  THOUSANDS_SEPARATORS,
+  formatNumber,
+  formatYear,
+  getNumberFormat,
+  writeDigits,
+};
@@ -7,6 +7,16 @@
  */
 
 const { HEBREW_NUMBER_WORDS, CONSTRUCT_FORMS } = require('./hebrewNumberData');
+const { classifyNumberWord, parseNumberExpression } = require('./numberConverter');
+const { isPrefix, splitPrefix } = require('./prefixes');
+
+// Words that are only numbers as part of a longer expression ("שנים" is "years" on its own)
+const NON_STANDALONE_WORDS = new Set(['שנים']);
+
+// Scale words after which a comma may separate the parts of a single number
+const COMMA_BRIDGE_WORDS = new Set([
+  'אלף', 'אלפים', 'אלפיים', 'מיליון', 'מיליונים', 'מיליארד', 'מיליארדים', 'טריליון', 'טריליונים',
+]);
 
 /**
  * Determines if a token is a Hebrew number word
@@ -44,137 +54,198 @@ function isNumberWord(token) {
  * isConjunction('ו');
  */
 function isConjunction(token) {
-  return token === 'ו' || token === 'וה' || token === 'ה';
+  return token === 'ו';
 }
 
 /**
- * Processes compound tokens that contain an underscore
+ * Splits a word into its proclitic prefix and the number words it contains
  *
- * @param {string} token - The compound token
- * @returns {Array<string>} Array of individual tokens
- * @private
+ * @param {string} word - The word as it appears in the text
+ * @param {boolean} [allowPrefix=true] - Whether proclitics other than "ו" may be stripped
+ * @returns {{prefix: string, words: Array<string>}|null} The split word, or null if it
+ * is not a number
+ *
+ * @example
+ * // Returns { prefix: 'וכ', words: ['שלושה'] }
+ * splitNumberWord('וכשלושה');
+ * // Returns { prefix: 'ב', words: ['שלושה'] }
+ * splitNumberWord('ב-שלושה');
  */
-function processCompoundToken(token) {
-  if (!token.includes('_')) {
-    return [token];
+function splitNumberWord(word, allowPrefix = true) {
+  const [head, ...rest] = word.split(/[-־]/);
+  if (!head || rest.some((part) => !classifyNumberWord(part))) {
+    return null;
   }
 
-  const parts = token.split('_');
-  return [parts[0], 'ו', parts[1]]; // Reconstruct with the implied "ו" conjunction
+  // The definite article never attaches to a construct-state number ("שלושת הילדים")
+  const isStem = (prefix, stem) => Boolean(classifyNumberWord(stem))
+    && !(prefix.endsWith('ה') && CONSTRUCT_FORMS[stem] !== undefined);
+
+  // "ב-שלושה", "כ-חמישים" - the proclitics are set off from the number by a hyphen
+  const hyphenated = rest.length > 0 && !classifyNumberWord(head) && isPrefix(head);
+  const split = hyphenated
+    ? isStem(head, rest[0]) && { prefix: head, stem: rest.shift() }
+    : splitPrefix(head, (stem) => isStem(head.slice(0, head.length - stem.length), stem));
+
+  if (!split || (!allowPrefix && split.prefix !== '' && split.prefix !== 'ו')) {
+    return null;
+  }
+  return { prefix: split.prefix, words: [split.stem, ...rest] };
 }
 
 /**
- * Finds contiguous number expressions in a token array
+ * Normalizes a token list into objects that carry their position in the text
  *
- * @param {Array<string>} tokens - Array of tokens from the text
- * @returns {Array<Object>} Array of identified number expressions
+ * Plain strings are assumed to be separated by a single space.
  *
- * @example
- * // Returns [{ tokens: ['חמש', 'מאות'], original: 'חמש מאות', startIndex: 0, endIndex: 8 }]
- * findNumberExpressions(['חמש', 'מאות']);
+ * @param {Array<string|{text: string, start: number, end: number}>} tokens - The tokens
+ * @returns {Array<{text: string, start: number, end: number}>} Tokens with positions
+ * @private
  */
-function findNumberExpressions(tokens) {
-  const expressions = [];
-  let currentExpression = null;
-  let originalText = '';
-  let startPosition = 0;
-  const position = 0;
-  let prevEnd = 0;
-
-  // Expand compound tokens
-  const expandedTokens = [];
-  const positionMap = []; // Maps expanded position to original position
-
-  for (let i = 0; i < tokens.length; i++) {
-    const token = tokens[i];
-    const tokenPos = i === 0 ? 0 : prevEnd + 1; // Add 1 for space
-
-    if (token.includes('_')) {
-      const expanded = processCompoundToken(token);
-      expandedTokens.push(...expanded);
-
-      // Map positions
-      for (let j = 0; j < expanded.length; j++) {
-        positionMap.push({
-          start: tokenPos,
-          end: tokenPos + token.length,
-        });
-      }
-    } else {
-      expandedTokens.push(token);
-      positionMap.push({
-        start: tokenPos,
-        end: tokenPos + token.length,
-      });
+function withPositions(tokens) {
+  let position = 0;
+
+  return tokens.map((token) => {
+    if (typeof token !== 'string') {
+      return token;
     }
 
-    prevEnd = tokenPos + token.length;
+    const positioned = { text: token, start: position, end: position + token.length };
+    position = positioned.end + 1;
+    return positioned;
+  });
+}
+
+/**
+ * Parses a run of number words, if it forms a valid cardinal
+ *
+ * @param {Array<string>} words - The number words of the run
+ * @returns {number|null} The value of the run, or null if it is not a valid cardinal
+ * on its own
+ * @private
+ */
+function parseRun(words) {
+  if (words.length === 1 && NON_STANDALONE_WORDS.has(words[0])) {
+    return null;
+  }
+
+  try {
+    return parseNumberExpression(words);
+  } catch (error) {
+    // Not a valid number - a shorter run may be
+    return null;
   }
+}
 
-  // Reset for processing expanded tokens
-  currentExpression = null;
-  originalText = '';
-  startPosition = 0;
-  prevEnd = 0;
-
-  // Function to finalize and add the current expression to our results
-  const finalizeExpression = () => {
-    if (currentExpression && currentExpression.length > 0) {
-      // Remove trailing conjunctions
-      while (currentExpression.length > 0
-             && isConjunction(currentExpression[currentExpression.length - 1])) {
-        currentExpression.pop();
-      }
-
-      if (currentExpression.length > 0) {
-        expressions.push({
-          tokens: currentExpression,
-          original: originalText.trim(),
-          startIndex: startPosition,
-          endIndex: prevEnd,
-        });
-      }
+/**
+ * Finds the longest valid number expression starting at a given token
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {number} startToken - Index of the first token of the expression
+ * @param {Set<number>} literalTokens - Indexes of number words that are not quantities
+ * @returns {Object|null} The expression or null if no number starts at this token
+ * @private
+ */
+function matchExpressionAt(tokens, startToken, literalTokens) {
+  const first = !literalTokens.has(startToken) && splitNumberWord(tokens[startToken].text);
+  if (!first) {
+    return null;
+  }
+
+  // Collect the run of tokens that could belong to the number, remembering
+  // every point at which the run could end
+  const words = [...first.words];
+  const candidates = [{ length: words.length, lastToken: startToken }];
+
+  let index = startToken + 1;
+  while (index < tokens.length) {
+    let { text } = tokens[index];
+    const bridged = text === ',' && COMMA_BRIDGE_WORDS.has(words[words.length - 1]);
+    if (bridged) {
+      index += 1;
+      text = index < tokens.length ? tokens[index].text : '';
     }
-    currentExpression = null;
-    originalText = '';
-  };
 
-  // Process the expanded tokens
-  expandedTokens.forEach((token, index) => {
-    const posInfo = positionMap[index];
-
-    // If we have a number word, start or continue an expression
-    if (isNumberWord(token)) {
-      if (!currentExpression) {
-        currentExpression = [token];
-        startPosition = posInfo.start;
-        originalText = token;
-      } else {
-        currentExpression.push(token);
-        originalText += ` ${token}`;
-      }
+    const next = isConjunction(text) ? { prefix: 'ו', words: [] } : splitNumberWord(text, false);
+    if (!next || literalTokens.has(index)) {
+      break;
     }
-    // Conjunctions can be part of number expressions
-    else if (isConjunction(token) && currentExpression) {
-      currentExpression.push(token);
-      originalText += ` ${token}`;
+
+    if (next.prefix) {
+      words.push('ו');
     }
-    // Non-number word and not a conjunction - finalize the current expression
-    else {
-      finalizeExpression();
+    words.push(...next.words);
+    if (next.words.length > 0) {
+      candidates.push({ length: words.length, lastToken: index });
     }
+    index += 1;
+  }
 
-    prevEnd = posInfo.end;
+  // Prefer the longest run that parses as a valid cardinal
+  let value = null;
+  const match = [...candidates].reverse().find(({ length }) => {
+    value = parseRun(words.slice(0, length));
+    return value !== null;
   });
+  if (!match) {
+    return null;
+  }
+
+  return {
+    tokens: words.slice(0, match.length),
+    prefix: first.prefix,
+    value,
+    startIndex: tokens[startToken].start,
+    endIndex: tokens[match.lastToken].end,
+    firstToken: startToken,
+    lastToken: match.lastToken,
+  };
+}
+
+/**
+ * Finds contiguous number expressions in a token array
+ *
+ * Each expression is the longest run of number words that forms a valid
+ * cardinal. A proclitic prefix on the first word ("כשלושה") is reported
+ * separately and is not part of the number.
+ *
+ * @param {Array<string|{text: string, start: number, end: number}>} tokens - Array of tokens
+ * from the text, either plain strings or positioned tokens from `tokenizeWithOffsets`
+ * @param {Set<number>} [literalTokens] - Indexes of number words that are not quantities
+ * ("באר שבע"), see `findLiteralTokens`
+ * @returns {Array<Object>} Array of identified number expressions
+ *
+ * @example
+ * // Returns [{ tokens: ['חמש', 'מאות'], original: 'חמש מאות', prefix: '', value: 500,
+ * //   startIndex: 0, endIndex: 8, firstToken: 0, lastToken: 1 }]
+ * findNumberExpressions(['חמש', 'מאות']);
+ */
+function findNumberExpressions(tokens, literalTokens = new Set()) {
+  const positioned = withPositions(tokens);
+  const expressions = [];
 
-  // Finalize any expression that might be at the end of the text
-  finalizeExpression();
+  let index = 0;
+  while (index < positioned.length) {
+    const expression = matchExpressionAt(positioned, index, literalTokens);
+
+    if (expression) {
+      expression.original = positioned
+        .slice(expression.firstToken, expression.lastToken + 1)
+        .map((token) => token.text)
+        .join(' ');
+      expressions.push(expression);
+      index = expression.lastToken + 1;
+    } else {
+      index += 1;
+    }
+  }
 
   return expressions;
 }
 
 module.exports = {
   findNumberExpressions,
+  splitNumberWord,
   isNumberWord,
   isConjunction,
 };
@@ -0,0 +1,188 @@
+/**
+ * Hebrew Ordinal Numbers
+ *
+ * This module recognizes ordinal numbers in Hebrew text ("הקומה השלישית",
+ * "המקום העשרים ואחד") and renders them with digits ("הקומה ה-3").
+ *
+ * Ordinals one to ten have their own words (`ORDINAL_NUMBERS`); above ten a
+ * definite cardinal is used after the noun. Only definite ordinals that follow
+ * a word are converted, so "יום שני" (Monday) and "תואר שני" are left alone.
+ *
+ * @module ordinals
+ */
+
+const { ORDINAL_NUMBERS } = require('./hebrewNumberData');
+const { formatPrefix, getPrefixStyle, splitPrefix } = require('./prefixes');
+
+// Supported output styles: "ה-3", "3" or leaving the ordinal spelled out
+const ORDINAL_STYLES = ['prefix', 'plain', 'words'];
+
+// "השני" after these nouns means "the other" ("הצד השני"), not "the second"
+const OTHER_SENSE_NOUNS = new Set(['צד', 'עבר', 'קצה', 'מין', 'גדה']);
+
+// Forms of "second", the only ordinal that is also a cardinal ("שני ילדים")
+const SECOND_FORMS = new Set(['שני', 'שנייה', 'שניה']);
+
+// Words that cannot be the noun counted by a preceding "שני"
+const FUNCTION_WORDS = new Set([
+  'של', 'את', 'על', 'עם', 'אל', 'בתוך', 'אחרי', 'לפני', 'מול', 'ליד', 'בין', 'עד',
+  'כי', 'אבל', 'גם', 'או', 'אם', 'אז', 'כמו', 'כבר', 'עוד', 'רק', 'לא', 'אשר',
+  'הוא', 'היא', 'הם', 'הן', 'זה', 'זו', 'זאת',
+]);
+
+// Proclitic prepositions, and the plural endings of the nouns "שני" counts
+const PREPOSITION_PATTERN = /^[בלמכ]/;
+const PLURAL_PATTERN = /(ים|ות)$/;
+
+/**
+ * Checks whether a token is a Hebrew word
+ *
+ * @param {{text: string}} [token] - The token to check
+ * @returns {boolean} True for Hebrew words, false for punctuation, digits or no token
+ * @private
+ */
+function isHebrewWord(token) {
+  return Boolean(token) && /^[א-ת]/.test(token.text);
+}
+
+/**
+ * Removes proclitic letters from a word if what remains is in the given set
+ *
+ * @param {string} word - The word
+ * @param {Set<string>} stems - The stems to look for
+ * @returns {string} The stem, or the word itself if no stem matches
+ * @private
+ */
+function stripProclitics(word, stems) {
+  const split = splitPrefix(word, (stem) => stems.has(stem));
+  return split ? split.stem : word;
+}
+
+/**
+ * Splits a definite ordinal word into its prefix and ordinal stem
+ *
+ * @param {string} word - The word as it appears in the text
+ * @returns {{prefix: string, stem: string}|null} The split word, or null if it
+ * is not a definite ordinal
+ * @private
+ */
+function splitDefiniteOrdinal(word) {
+  const split = splitPrefix(word, (stem) => ORDINAL_NUMBERS[stem] !== undefined);
+  return split && split.prefix.endsWith('ה') ? split : null;
+}
+
+/**
+ * Renders an ordinal value in the requested style
+ *
+ * @param {string} prefix - The prefix of the ordinal, ending with the definite article
+ * @param {number} value - The ordinal value
+ * @param {string} style - One of `ORDINAL_STYLES`
+ * @param {string} prefixStyle - One of `PREFIX_STYLES`
+ * @returns {string} The rendered ordinal
+ * @private
+ */
+function renderOrdinal(prefix, value, style, prefixStyle) {
+  // The plain style drops the definite article ("בקומה 3")
+  const kept = style === 'plain' ? prefix.slice(0, -1) : prefix;
+  return `${formatPrefix(kept, prefixStyle)}${value}`;
+}
+
+/**
+ * Finds ordinal number expressions in a tokenized text
+ *
+ * Besides the ordinals it converts, the result contains protected spans
+ * (`normalized: null`) for ordinals that must stay spelled out and must not be
+ * converted as cardinals either, such as "יום שני" or "תואר שני".
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.ordinalStyle='prefix'] - "prefix" ("ה-3"), "plain" ("3")
+ * or "words" (keep ordinals spelled out)
+ * @returns {Array<Object>} Ordinal expressions with `class: 'ordinal'`
+ *
+ * @example
+ * // Returns [{ startIndex: 6, endIndex: 13, original: 'השלישית', normalized: 'ה-3', ... }]
+ * findOrdinalExpressions(tokenizeWithOffsets('הקומה השלישית'), []);
+ */
+function findOrdinalExpressions(tokens, cardinals, options = {}) {
+  const style = options.ordinalStyle || 'prefix';
+  if (!ORDINAL_STYLES.includes(style)) {
+    throw new Error(`Unknown ordinal style "${style}". Expected one of: ${ORDINAL_STYLES.join(', ')}`);
+  }
+  const prefixStyle = getPrefixStyle(options);
+
+  const expressions = [];
+  const addExpression = (firstToken, lastToken, prefix, value) => {
+    const original = tokens.slice(firstToken, lastToken + 1).map((token) => token.text).join(' ');
+    expressions.push({
+      startIndex: tokens[firstToken].start,
+      endIndex: tokens[lastToken].end,
+      firstToken,
+      lastToken,
+      original,
+      normalized: style === 'words' ? null : renderOrdinal(prefix, value, style, prefixStyle),
+      value,
+      class: 'ordinal',
+    });
+  };
+  const keepExpression = (index) => {
+    expressions.push({
+      startIndex: tokens[index].start,
+      endIndex: tokens[index].end,
+      firstToken: index,
+      lastToken: index,
+      original: tokens[index].text,
+      normalized: null,
+      value: ORDINAL_NUMBERS[tokens[index].text],
+      class: 'ordinal',
+    });
+  };
+
+  // Tokens of the cardinals, so that "שני מיליון" is not taken for a preposition
+  const numberTokens = new Set(cardinals.flatMap(({ firstToken, lastToken }) => (
+    Array.from({ length: lastToken - firstToken + 1 }, (_, offset) => firstToken + offset))));
+
+  tokens.forEach((token, index) => {
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+
+    // "הקומה השלישית" - a definite ordinal right after the noun it describes
+    const definite = splitDefiniteOrdinal(token.text);
+    if (definite) {
+      const otherSense = SECOND_FORMS.has(definite.stem) && previous
+        && OTHER_SENSE_NOUNS.has(stripProclitics(previous.text, OTHER_SENSE_NOUNS));
+      if (isHebrewWord(previous) && !otherSense) {
+        addExpression(index, index, definite.prefix, ORDINAL_NUMBERS[definite.stem]);
+      }
+      return;
+    }
+
+    // "יום שני", "תואר שני" - an indefinite "second" is not the cardinal "שני", and
+    // neither is one before a preposition rather than a plural noun ("היה שני בתור")
+    if (token.text === 'שני' && isHebrewWord(previous)) {
+      const isDay = stripProclitics(previous.text, new Set(['יום'])) === 'יום';
+      const preposition = isHebrewWord(next) && PREPOSITION_PATTERN.test(next.text)
+        && !PLURAL_PATTERN.test(next.text) && !numberTokens.has(index + 1);
+      if (isDay || preposition || !isHebrewWord(next) || FUNCTION_WORDS.has(next.text)) {
+        keepExpression(index);
+      }
+    }
+  });
+
+  // "המקום העשרים ואחד" - above ten, a definite cardinal after the noun
+  cardinals.forEach((expression) => {
+    if (expression.prefix.endsWith('ה') && expression.value > 10
+      && isHebrewWord(tokens[expression.firstToken - 1])) {
+      const { firstToken, lastToken } = expression;
+      addExpression(firstToken, lastToken, expression.prefix, expression.value);
+    }
+  });
+
+  return expressions;
+}
+
+module.exports = {
+  ORDINAL_STYLES,
+  findOrdinalExpressions,
+};
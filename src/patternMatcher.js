@@ -7,6 +7,8 @@
  * @module patternMatcher
  */
 
+const { formatNumber } = require('./numberFormat');
+
 // Number mapping for simple expressions
 const NUMBER_MAPPING = {
   // Cardinals (masculine)
@@ -164,22 +166,7 @@ const COMPOUND_PATTERNS = [
     replacer: (match, first, second) => {
       const firstVal = normalizeHebrewNumber(first);
       const secondVal = normalizeHebrewNumber(second);
-      return formatNumberWithCommas(parseInt(firstVal.replace(/,/g, '')) + parseInt(secondVal.replace(/,/g, '')));
-    },
-  },
-
-  // Fractions
-  {
-    pattern: /\b(שעה|דקה|יום|חודש|שנה)\s+וחצי\b/g,
-    replacer: (match, unit) => `1.5 ${pluralizeHebrew(unit)}`,
-  },
-
-  // Common prefixes before numbers
-  {
-    pattern: /\b(כ|ב|ל|מ|יותר מ|פחות מ|כמעט|בערך|כמו|עוד)(\bאלף\b|\bאלפיים\b|\bשלושת אלפים\b|\bארבעת אלפים\b|\bחמשת אלפים\b|\bעשרת אלפים\b|\bמאה\b|\bמאתיים\b|\bשלוש מאות\b|\bארבע מאות\b|\bחמש מאות\b|\bאחד\b|\bשניים\b|\bשלושה\b|\bארבעה\b|\bחמישה\b|\bשישה\b|\bשבעה\b|\bשמונה\b|\bתשעה\b|\bעשרה\b|\bאחת\b|\bשתיים\b|\bשלוש\b|\bארבע\b|\bחמש\b|\bשש\b|\bשבע\b|\bשמונה\b|\bתשע\b|\bעשר\b|\bעשרים\b|\bשלושים\b|\bארבעים\b|\bחמישים\b|\bשישים\b|\bשבעים\b|\bשמונים\b|\bתשעים\b)/g,
-    replacer: (match, prefix, number) => {
-      const numValue = normalizeHebrewNumber(number);
-      return `${prefix}-${numValue}`;
+      return formatNumber(parseInt(firstVal.replace(/,/g, '')) + parseInt(secondVal.replace(/,/g, '')));
     },
   },
 
@@ -190,16 +177,6 @@ const COMPOUND_PATTERNS = [
   },
 ];
 
-/**
- * Formats a number with commas for thousands
- *
- * @param {number} num - Number to format
- * @returns {string} Formatted number
- */
-function formatNumberWithCommas(num) {
-  return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
-}
-
 /**
  * Normalizes a Hebrew number expression to digits
  *
@@ -224,24 +201,6 @@ function normalizeHebrewNumber(hebrewNumber) {
   return result;
 }
 
-/**
- * Pluralizes Hebrew time units
- *
- * @param {string} unit - Singular unit
- * @returns {string} Plural form
- */
-function pluralizeHebrew(unit) {
-  const plurals = {
-    שעה: 'שעות',
-    דקה: 'דקות',
-    יום: 'ימים',
-    חודש: 'חודשים',
-    שנה: 'שנים',
-  };
-
-  return plurals[unit] || unit;
-}
-
 /**
  * Normalizes a Hebrew number using pattern matching
  *
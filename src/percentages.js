@@ -0,0 +1,170 @@
+/**
+ * Hebrew Percentages
+ *
+ * This module recognizes percentages in Hebrew text ("שלושים וחמישה אחוזים",
+ * "אחוז אחד", "חצי אחוז", "שלוש נקודה שתיים אחוז") and renders them with a percent
+ * sign ("35%", "ב-3%", "3.2%") or keeping the word ("35 אחוזים").
+ *
+ * @module percentages
+ */
+
+const { formatNumber, getNumberFormat } = require('./numberFormat');
+const { formatPrefix, getPrefixStyle, splitPrefix } = require('./prefixes');
+const { readDecimal } = require('./decimals');
+const { fractionDigits, readAddedFraction, readQuantity: readFractionQuantity } = require('./fractions');
+
+// Supported output styles: "35%" or "35 אחוזים"
+const PERCENT_STYLES = ['symbol', 'word'];
+
+// Words for "percent"
+const PERCENT_WORDS = new Set(['אחוז', 'אחוזים']);
+
+/**
+ * Reads the decimal digits of a "ו" fraction after a number ("וחצי", "ורבע")
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the token to check
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @returns {{decimals: string, lastToken: number}|null} The decimal digits of the
+ * fraction, or null if there is none or it has no short decimal form
+ * @private
+ */
+function readAddedDecimals(tokens, index, cardinalsByToken) {
+  const fraction = readAddedFraction(tokens, index, cardinalsByToken);
+  const decimals = fraction && fractionDigits(fraction.numerator, fraction.denominator);
+  return decimals ? { decimals, lastToken: fraction.lastToken } : null;
+}
+
+/**
+ * Reads the quantity of a percentage starting at a token: a cardinal, a decimal or
+ * a quantity with a fraction that has a short decimal form
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @returns {{prefix: string, whole: number, decimals: string, lastToken: number}|null}
+ * The quantity, or null
+ *
+ * @example
+ * // Returns { prefix: 'ב', whole: 3, decimals: '5', lastToken: 1 }
+ * readQuantity(tokenizeWithOffsets('בשלושה וחצי'), 0, cardinalsByToken);
+ */
+function readQuantity(tokens, index, cardinalsByToken) {
+  if (index >= tokens.length) {
+    return null;
+  }
+
+  // "שלוש נקודה שתיים", "אפס נקודה שמונה"
+  const decimal = readDecimal(tokens, index, cardinalsByToken);
+  if (decimal) {
+    return {
+      prefix: decimal.prefix,
+      whole: decimal.whole,
+      decimals: decimal.fraction,
+      lastToken: decimal.lastToken,
+    };
+  }
+
+  // "שלושה", "שלושה וחצי", "חצי", "ברבע", "שלושה רבעים"
+  const quantity = readFractionQuantity(tokens, index, cardinalsByToken);
+  const decimals = quantity && fractionDigits(quantity.numerator, quantity.denominator);
+  if (!quantity || decimals === null) {
+    return null;
+  }
+  return {
+    prefix: quantity.prefix, whole: quantity.whole, decimals, lastToken: quantity.lastToken,
+  };
+}
+
+/**
+ * Finds percentages in a tokenized text
+ *
+ * A percentage is a quantity followed by "אחוז" or "אחוזים" - a cardinal, a
+ * cardinal with a fraction ("ארבעה וחצי", "שני אחוזים וחצי"), a decimal
+ * ("שלוש נקודה שתיים") or a fraction alone ("חצי אחוז") - as well as "אחוז אחד"
+ * and "אחוז וחצי". Ranges of percentages ("בין שלושים לארבעים אחוז") are left to
+ * the `ranges` module.
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.percentStyle='symbol'] - "symbol" ("35%") or "word"
+ * ("35 אחוזים")
+ * @returns {Array<Object>} Percentage expressions with `class: 'percentage'` and a
+ * numeric `value`
+ *
+ * @example
+ * // Returns [{ original: 'בשלושה אחוזים', normalized: 'ב-3%', value: 3, ... }]
+ * findPercentageExpressions(tokens, cardinals);
+ */
+function findPercentageExpressions(tokens, cardinals, options = {}) {
+  const style = options.percentStyle || 'symbol';
+  if (!PERCENT_STYLES.includes(style)) {
+    throw new Error(`Unknown percent style "${style}". Expected one of: ${PERCENT_STYLES.join(', ')}`);
+  }
+  const format = getNumberFormat(options);
+  const prefixStyle = getPrefixStyle(options);
+  const formatQuantity = (whole, decimals) => formatNumber(whole, decimals, format);
+
+  const cardinalsByToken = new Map(cardinals.map((cardinal) => [cardinal.firstToken, cardinal]));
+  const expressions = [];
+  const addExpression = (firstToken, lastToken, normalized, value) => {
+    expressions.push({
+      startIndex: tokens[firstToken].start,
+      endIndex: tokens[lastToken].end,
+      firstToken,
+      lastToken,
+      original: tokens.slice(firstToken, lastToken + 1).map((token) => token.text).join(' '),
+      normalized,
+      value,
+      class: 'percentage',
+    });
+  };
+  const render = (number, word) => (style === 'symbol' ? `${number}%` : `${number} ${word}`);
+
+  tokens.forEach((token, index) => {
+    // "אחוז אחד", "באחוז וחצי"
+    const percentWord = splitPrefix(token.text, (stem) => stem === 'אחוז');
+    if (percentWord && !cardinalsByToken.has(index)) {
+      const one = cardinalsByToken.get(index + 1);
+      const fraction = readAddedDecimals(tokens, index + 1, cardinalsByToken);
+      if (fraction || (one && one.value === 1 && !one.prefix)) {
+        const decimals = fraction ? fraction.decimals : '';
+        const normalized = formatPrefix(percentWord.prefix, prefixStyle)
+          + render(formatQuantity(1, decimals), percentWord.stem);
+        const lastToken = fraction ? fraction.lastToken : index + 1;
+        addExpression(index, lastToken, normalized, Number(`1.${decimals || 0}`));
+      }
+      return;
+    }
+
+    const quantity = readQuantity(tokens, index, cardinalsByToken);
+    if (!quantity) {
+      return;
+    }
+
+    const word = tokens[quantity.lastToken + 1];
+    if (!word || !PERCENT_WORDS.has(word.text)) {
+      return;
+    }
+
+    // "שני אחוזים וחצי"
+    const trailing = !quantity.decimals
+      && readAddedDecimals(tokens, quantity.lastToken + 2, cardinalsByToken);
+    const decimals = trailing ? trailing.decimals : quantity.decimals;
+    const lastToken = trailing ? trailing.lastToken : quantity.lastToken + 1;
+
+    const normalized = formatPrefix(quantity.prefix, prefixStyle)
+      + render(formatQuantity(quantity.whole, decimals), word.text);
+    addExpression(index, lastToken, normalized, Number(`${quantity.whole}.${decimals || 0}`));
+  });
+
+  return expressions;
+}
+
+module.exports = {
+  PERCENT_STYLES,
+  PERCENT_WORDS,
+  findPercentageExpressions,
+  readQuantity,
+};
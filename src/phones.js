@@ -0,0 +1,203 @@
+/**
+ * Israeli Phone Numbers
+ *
+ * This module recognizes Israeli phone numbers dictated in Hebrew, in digits and
+ * in groups of two to four digits ("אפס חמש שתיים, שלוש ארבע חמש, שישים ושבע
+ * שמונים ותשע"), and formats them nationally ("052-345-6789", "03-967-4561",
+ * "1-800-123-456") or in E.164 ("+972523456789"). Numbers that are dictated as a
+ * phone number but have the wrong length are left as they were said and reported.
+ *
+ * @module phones
+ */
+
+const { formatPrefix, getPrefixStyle } = require('./prefixes');
+const { readDigitGroup } = require('./digitSequences');
+
+// Supported output formats: "052-345-6789" or "+972523456789"
+const PHONE_FORMATS = ['national', 'e164'];
+
+// Israel's country calling code
+const COUNTRY_CODE = '972';
+
+// Word for the plus sign of an international number ("פלוס תשע שבע שתיים ...")
+const PLUS = 'פלוס';
+
+/**
+ * Kinds of Israeli numbers, with their national digits and the size of the
+ * groups they are written in
+ */
+const PHONE_TYPES = [
+  { type: 'mobile', pattern: /^05\d{8}$/, groups: [3, 3, 4] },
+  { type: 'voip', pattern: /^07\d{8}$/, groups: [3, 3, 4] },
+  { type: 'landline', pattern: /^0[2-489]\d{7}$/, groups: [2, 3, 4] },
+  { type: 'toll-free', pattern: /^1[78]00\d{6}$/, groups: [1, 3, 3, 3] },
+];
+
+// Words that show a number is a phone number ("בטלפון", "להתקשר למספר")
+const PHONE_CUE_PATTERN = /טלפון|נייד|פקס|התקשר|לחייג|חייג|משיבון/;
+
+// How many words before a number are searched for a phone cue
+const CUE_WINDOW = 6;
+
+/**
+ * Reads the digits of a dictated number starting at a token
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @returns {{prefix: string, digits: string, plus: boolean, lastToken: number}|null}
+ * The digits, or null if they do not start like a phone number
+ * @private
+ */
+function readPhoneDigits(tokens, index, cardinalsByToken) {
+  const plus = tokens[index].text === PLUS;
+  const first = readDigitGroup(tokens, plus ? index + 1 : index, cardinalsByToken, !plus);
+  if (!first) {
+    return null;
+  }
+
+  const phone = {
+    prefix: first.prefix, digits: first.digits, plus, lastToken: first.lastToken,
+  };
+  const complete = () => {
+    const national = plus ? `0${phone.digits.slice(COUNTRY_CODE.length)}` : phone.digits;
+    return PHONE_TYPES.some(({ pattern }) => pattern.test(national));
+  };
+
+  let next = first.lastToken + 1;
+  while (next < tokens.length && !complete()) {
+    const comma = tokens[next].text === ',';
+    const group = readDigitGroup(tokens, comma ? next + 1 : next, cardinalsByToken, false);
+    if (!group) {
+      break;
+    }
+    phone.digits += group.digits;
+    phone.lastToken = group.lastToken;
+    next = group.lastToken + 1;
+  }
+
+  const startsLikePhone = plus ? phone.digits.startsWith(COUNTRY_CODE)
+    : /^(0|1[78]00)/.test(phone.digits);
+  return startsLikePhone && phone.lastToken > first.lastToken ? phone : null;
+}
+
+/**
+ * Writes national digits in groups ("052-345-6789")
+ *
+ * @param {string} digits - The national digits
+ * @param {Array<number>} groups - The size of each group
+ * @returns {string} The grouped digits
+ * @private
+ */
+function groupDigits(digits, groups) {
+  let position = 0;
+  return groups.map((size) => {
+    const group = digits.slice(position, position + size);
+    position += size;
+    return group;
+  }).join('-');
+}
+
+/**
+ * Renders a phone number in the requested format
+ *
+ * @param {string} national - The national digits ("0523456789")
+ * @param {Object} kind - The matching entry of `PHONE_TYPES`
+ * @param {boolean} plus - Whether the number was said with the country code
+ * @param {string} format - One of `PHONE_FORMATS`
+ * @returns {string} The rendered number
+ * @private
+ */
+function renderPhone(national, kind, plus, format) {
+  // Toll-free numbers cannot be dialed from abroad
+  if (kind.type === 'toll-free') {
+    return groupDigits(national, kind.groups);
+  }
+  if (format === 'e164') {
+    return `+${COUNTRY_CODE}${national.slice(1)}`;
+  }
+
+  const grouped = groupDigits(national, kind.groups);
+  return plus ? `+${COUNTRY_CODE}-${grouped.slice(1)}` : grouped;
+}
+
+/**
+ * Finds Israeli phone numbers in a tokenized text
+ *
+ * Mobile (05X), VoIP (07X), toll-free (1-800, 1-700) and international ("פלוס
+ * תשע שבע שתיים ...") numbers are recognized anywhere; landline numbers (0X), which
+ * are as long as an ID number, need a phone cue such as "טלפון" or "להתקשר" in the
+ * preceding words. A number dictated as a phone number - after a cue or with the
+ * country code - that has the wrong length is returned unnormalized (`normalized:
+ * null`) with an `issue`, so that its digits are neither rewritten nor misread as a
+ * cardinal.
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.phoneFormat='national'] - "national" ("052-345-6789") or
+ * "e164" ("+972523456789")
+ * @returns {Array<Object>} Phone expressions with `class: 'phone'` and a `value` of
+ * `{ number, type }`, where `number` holds the national digits
+ *
+ * @example
+ * // Returns [{ original: 'אפס חמש שתיים, שלוש ארבע חמש, ...', normalized: '052-345-6789', ... }]
+ * findPhoneExpressions(tokens, cardinals);
+ */
+function findPhoneExpressions(tokens, cardinals, options = {}) {
+  const format = options.phoneFormat || 'national';
+  if (!PHONE_FORMATS.includes(format)) {
+    throw new Error(`Unknown phone format "${format}". Expected one of: ${PHONE_FORMATS.join(', ')}`);
+  }
+
+  const prefixStyle = getPrefixStyle(options);
+
+  const cardinalsByToken = new Map(cardinals.map((cardinal) => [cardinal.firstToken, cardinal]));
+  const expressions = [];
+  const addExpression = (firstToken, lastToken, fields) => {
+    expressions.push({
+      startIndex: tokens[firstToken].start,
+      endIndex: tokens[lastToken].end,
+      firstToken,
+      lastToken,
+      original: tokens.slice(firstToken, lastToken + 1).map((token) => token.text).join(' '),
+      class: 'phone',
+      ...fields,
+    });
+  };
+
+  let index = 0;
+  while (index < tokens.length) {
+    const phone = readPhoneDigits(tokens, index, cardinalsByToken);
+    if (!phone) {
+      index += 1;
+    } else {
+      const cued = tokens.slice(Math.max(0, index - CUE_WINDOW), index)
+        .some((token) => PHONE_CUE_PATTERN.test(token.text));
+      const national = phone.plus ? `0${phone.digits.slice(COUNTRY_CODE.length)}` : phone.digits;
+      const kind = PHONE_TYPES.find(({ pattern }) => pattern.test(national));
+
+      if (kind && (kind.type !== 'landline' || cued || phone.plus)) {
+        addExpression(index, phone.lastToken, {
+          normalized: formatPrefix(phone.prefix, prefixStyle)
+            + renderPhone(national, kind, phone.plus, format),
+          value: { number: national, type: kind.type },
+        });
+      } else if (!kind && (cued || phone.plus)) {
+        addExpression(index, phone.lastToken, {
+          normalized: null,
+          value: { number: national, type: null },
+          issue: 'invalid-phone-length',
+        });
+      }
+      index = phone.lastToken + 1;
+    }
+  }
+
+  return expressions;
+}
+
+module.exports = {
+  PHONE_FORMATS,
+  findPhoneExpressions,
+};
@@ -0,0 +1,121 @@
+/**
+ * Hebrew Proclitic Prefixes
+ *
+ * This module is the single place where the proclitic letters ו, ב, ל, מ, כ, ה and
+ * ש are stripped from the words of a number ("וכשלושה", "מהחמישה", "שבשלושים")
+ * and attached again to the digits that replace them, according to one policy
+ * for the whole text ("ו5", "כ-5", "כ5" or "כ־5").
+ *
+ * @module prefixes
+ */
+
+// Proclitic letters that may be attached to a word
+const PREFIX_LETTERS = 'ובכלמהש';
+
+// The order the proclitics combine in: the conjunction, a relative "ש" ("כש", "מש"),
+// a preposition, the approximation "כ" and the definite article ("ושבכ", "מה", "לכ")
+const PREFIX_PATTERN = /^ו?(?:ש|כש|מש)?[בלמ]?כ?ה?$/;
+
+// Supported policies for attaching a prefix to digits: "ו5" and "כ-5", "ו-5" and
+// "כ-5", "ו5" and "כ5", or the maqaf of the Academy of the Hebrew Language ("ו־5")
+const PREFIX_STYLES = ['mixed', 'hyphen', 'attached', 'academy'];
+
+// The Hebrew hyphen (maqaf)
+const MAQAF = '־';
+
+/**
+ * Checks whether letters form a valid combination of proclitics
+ *
+ * @param {string} letters - The letters to check
+ * @returns {boolean} True if the letters can all be proclitics, in this order
+ *
+ * @example
+ * // Returns true
+ * isPrefix('וכש');
+ */
+function isPrefix(letters) {
+  return PREFIX_PATTERN.test(letters);
+}
+
+/**
+ * Splits a word into its proclitic prefix and a stem
+ *
+ * The shortest prefix whose remainder is accepted as a stem is taken, so words
+ * that start with a proclitic letter ("שלושה", "משהו") are not split needlessly.
+ * A hyphen between the prefix and the stem is dropped ("ב-חצי").
+ *
+ * @param {string} word - The word as it appears in the text
+ * @param {function(string): boolean} isStem - Tells whether a remainder is a valid stem
+ * @returns {{prefix: string, stem: string}|null} The split word, or null if no
+ * combination of proclitics leaves a valid stem
+ *
+ * @example
+ * // Returns { prefix: 'מה', stem: 'חמישה' }
+ * splitPrefix('מהחמישה', (stem) => stem === 'חמישה');
+ */
+function splitPrefix(word, isStem) {
+  for (let length = 0; length < word.length; length += 1) {
+    const prefix = word.slice(0, length);
+    if (!isPrefix(prefix)) {
+      return null;
+    }
+
+    const stem = word.slice(length);
+    if (isStem(stem)) {
+      return { prefix, stem };
+    }
+    // "ב-חצי" - the prefix is set off from the stem by a hyphen
+    if (prefix && /^[-־]/.test(stem) && isStem(stem.slice(1))) {
+      return { prefix, stem: stem.slice(1) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the prefix policy selected by the normalization options
+ *
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.prefixStyle='mixed'] - One of `PREFIX_STYLES`
+ * @returns {string} The prefix policy
+ * @throws {Error} If the policy is not supported
+ */
+function getPrefixStyle(options = {}) {
+  const style = options.prefixStyle || 'mixed';
+  if (!PREFIX_STYLES.includes(style)) {
+    throw new Error(`Unknown prefix style "${style}". Expected one of: ${PREFIX_STYLES.join(', ')}`);
+  }
+  return style;
+}
+
+/**
+ * Renders the proclitic prefix of a number written with digits
+ *
+ * With the default "mixed" policy a "ו" prefix stays attached ("ו5") and other
+ * prefixes are hyphenated ("כ-5"); the other policies hyphenate every prefix
+ * ("hyphen"), none of them ("attached"), or join every prefix with a maqaf
+ * ("academy").
+ *
+ * @param {string} prefix - The prefix letters, possibly empty
+ * @param {string} [style='mixed'] - One of `PREFIX_STYLES`
+ * @returns {string} The prefix as it should precede the digits
+ *
+ * @example
+ * // Returns 'כ-'
+ * formatPrefix('כ');
+ */
+function formatPrefix(prefix, style = 'mixed') {
+  if (!prefix || style === 'attached' || (style === 'mixed' && prefix === 'ו')) {
+    return prefix;
+  }
+  return `${prefix}${style === 'academy' ? MAQAF : '-'}`;
+}
+
+module.exports = {
+  PREFIX_LETTERS,
+  PREFIX_STYLES,
+  formatPrefix,
+  getPrefixStyle,
+  isPrefix,
+  splitPrefix,
+};
@@ -0,0 +1,107 @@
+/**
+ * Protected Phrases and Ranges
+ *
+ * This module finds the parts of a text that must be left exactly as they were
+ * said: phrases of a do-not-normalize lexicon (idioms such as "פי שניים", brand
+ * names, song titles) and character ranges marked by the caller, for example by an
+ * upstream component that already handled them.
+ *
+ * The lexicon is shared by every call in the thread and can be replaced at any time.
+ *
+ * @module protection
+ */
+
+// Phrases protected until the lexicon is replaced
+const DEFAULT_PROTECTED_PHRASES = ['אחד העם'];
+
+let protectedPhrases = DEFAULT_PROTECTED_PHRASES;
+
+/**
+ * Returns the protected-phrase lexicon
+ *
+ * @returns {Array<string>} The protected phrases
+ */
+function getProtectedPhrases() {
+  return protectedPhrases;
+}
+
+/**
+ * Replaces the protected-phrase lexicon
+ *
+ * @param {Array<string>} phrases - The phrases to leave alone; an empty list
+ * protects nothing
+ * @throws {Error} If the phrases are not a list of non-empty strings
+ *
+ * @example
+ * setProtectedPhrases(['שבע כוכבים', 'פי שניים']);
+ */
+function setProtectedPhrases(phrases) {
+  if (!Array.isArray(phrases)
+    || !phrases.every((phrase) => typeof phrase === 'string' && phrase.trim())) {
+    throw new Error('Protected phrases must be an array of non-empty strings');
+  }
+  protectedPhrases = phrases.map((phrase) => phrase.trim());
+}
+
+/**
+ * Checks the protected ranges given by a caller
+ *
+ * @param {Array<{start: number, end: number}>} ranges - Character ranges, `end`
+ * exclusive
+ * @param {string} text - The text the ranges refer to
+ * @throws {Error} If a range is not inside the text
+ * @private
+ */
+function validateRanges(ranges, text) {
+  if (!Array.isArray(ranges)) {
+    throw new Error('Protected ranges must be an array of { start, end } ranges');
+  }
+  ranges.forEach((range) => {
+    const valid = range && Number.isInteger(range.start) && Number.isInteger(range.end)
+      && range.start >= 0 && range.start < range.end && range.end <= text.length;
+    if (!valid) {
+      throw new Error(`Invalid protected range ${JSON.stringify(range)} for a text of length ${text.length}`);
+    }
+  });
+}
+
+/**
+ * Finds the character ranges of a text that must not be normalized
+ *
+ * Lexicon phrases are matched as whole words, with any run of whitespace between
+ * their words.
+ *
+ * @param {string} text - The text to search
+ * @param {Object} [options] - Normalization options
+ * @param {Array<{start: number, end: number}>} [options.protectedRanges] - Character
+ * ranges to leave alone, `end` exclusive
+ * @returns {Array<{start: number, end: number}>} The protected ranges
+ * @throws {Error} If a range of `options.protectedRanges` is not inside the text
+ *
+ * @example
+ * // Returns [{ start: 7, end: 14 }]
+ * findProtectedRanges('ספר של אחד העם');
+ */
+function findProtectedRanges(text, options = {}) {
+  const ranges = [];
+  if (options.protectedRanges) {
+    validateRanges(options.protectedRanges, text);
+    ranges.push(...options.protectedRanges.map(({ start, end }) => ({ start, end })));
+  }
+
+  protectedPhrases.forEach((phrase) => {
+    const words = phrase.split(/\s+/).map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(?<![א-ת\\w])${words.join('\\s+')}(?![א-ת\\w])`, 'g');
+    [...text.matchAll(pattern)].forEach((match) => {
+      ranges.push({ start: match.index, end: match.index + match[0].length });
+    });
+  });
+
+  return ranges;
+}
+
+module.exports = {
+  findProtectedRanges,
+  getProtectedPhrases,
+  setProtectedPhrases,
+};
@@ -0,0 +1,199 @@
+/**
+ * Hebrew Number Ranges
+ *
+ * This module recognizes ranges of numbers ("בין שלושים לארבעים אחוז", "משלוש עד
+ * חמש", "עשרים עד שלושים איש", "שלושה-ארבעה ימים") and writes them with a hyphen
+ * ("30%-40%", "3-5", "20-30 איש", "3-4 ימים") or keeping the words between the
+ * numbers ("בין 30% ל-40%", "מ-3 עד 5").
+ *
+ * @module ranges
+ */
+
+const { parseNumberExpression } = require('./numberConverter');
+const { splitNumberWord } = require('./numberRecognizer');
+const { formatNumber, getNumberFormat } = require('./numberFormat');
+const { formatPrefix, getPrefixStyle } = require('./prefixes');
+const { PERCENT_WORDS, readQuantity } = require('./percentages');
+const { CURRENCIES, findCurrency } = require('./money');
+
+// Supported output styles: "3-5" or "מ-3 עד 5"
+const RANGE_STYLES = ['hyphen', 'words'];
+
+// Word that opens a range ("בין חמש לשש")
+const BETWEEN = 'בין';
+
+// Word that joins the bounds of a range ("שלוש עד חמש")
+const UNTIL = 'עד';
+
+/**
+ * Reads the bounds of a range written as a single word ("שלושה-ארבעה")
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the token
+ * @returns {{form: string, prefix: string, lower: Object, upper: Object}|null} The
+ * bounds, in the form "joined", or null
+ * @private
+ */
+function readJoinedBounds(tokens, index) {
+  const parts = tokens[index].text.split(/[-־]/);
+  const lower = parts.length === 2 && splitNumberWord(parts[0]);
+  const upper = lower && splitNumberWord(parts[1], false);
+  if (!upper || upper.prefix) {
+    return null;
+  }
+
+  try {
+    return {
+      form: 'joined',
+      prefix: lower.prefix,
+      lower: { prefix: lower.prefix, whole: parseNumberExpression(lower.words), lastToken: index },
+      upper: { prefix: '', whole: parseNumberExpression(upper.words), lastToken: index },
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads the bounds of a range starting at a token
+ *
+ * The bounds are read as "בין X לY", "מX עד Y", "X עד Y" or "X-Y", and the lower
+ * bound must be smaller than the upper one.
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @returns {{form: string, prefix: string, lower: Object, upper: Object}|null} The form
+ * of the range ("between", "from", "until" or "joined"), the prefix of the whole
+ * range and the quantities of its bounds, or null
+ * @private
+ */
+function readBounds(tokens, index, cardinalsByToken) {
+  const between = tokens[index].text.match(new RegExp(`^(ו?)${BETWEEN}$`));
+  const lower = readQuantity(tokens, between ? index + 1 : index, cardinalsByToken);
+  if (between && (!lower || lower.prefix)) {
+    return null;
+  }
+
+  let bounds = null;
+  if (!lower) {
+    // "שלושה-ארבעה" - a word that is no number on its own may hold both bounds
+    bounds = readJoinedBounds(tokens, index);
+  } else if (between) {
+    const upper = readQuantity(tokens, lower.lastToken + 1, cardinalsByToken);
+    bounds = upper && upper.prefix === 'ל' && {
+      form: 'between', prefix: between[1], lower, upper,
+    };
+  } else if (tokens[lower.lastToken + 1] && tokens[lower.lastToken + 1].text === UNTIL) {
+    const upper = readQuantity(tokens, lower.lastToken + 2, cardinalsByToken);
+    const from = lower.prefix.endsWith('מ');
+    bounds = upper && !upper.prefix && {
+      form: from ? 'from' : 'until',
+      prefix: from ? lower.prefix.slice(0, -1) : lower.prefix,
+      lower,
+      upper,
+    };
+  }
+
+  const number = (quantity) => Number(`${quantity.whole}.${quantity.decimals || 0}`);
+  return bounds && number(bounds.lower) < number(bounds.upper) ? bounds : null;
+}
+
+/**
+ * Finds ranges of numbers in a tokenized text
+ *
+ * A percent or currency word after the upper bound belongs to both bounds ("בין
+ * שלושים לארבעים אחוז" -> "30%-40%", "בין אלף לאלפיים שקל" -> "1,000-2,000 ₪" with
+ * the symbol style); other units are left after the range ("20-30 איש").
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.rangeStyle='hyphen'] - "hyphen" ("3-5", "30%-40%") or
+ * "words" ("מ-3 עד 5", "בין 30% ל-40%")
+ * @param {string} [options.percentStyle='symbol'] - How percent ranges are written,
+ * see `findPercentageExpressions`
+ * @param {string} [options.currencyStyle='word'] - How ranges of money are written,
+ * see `findMoneyExpressions`
+ * @returns {Array<Object>} Range expressions with `class: 'range'` and a `value` of
+ * `{ from, to, unit }`, where `unit` is "percent", the ISO code of a currency or null
+ *
+ * @example
+ * // Returns [{ original: 'משלוש עד חמש', normalized: '3-5', value:
+ * //   { from: 3, to: 5, unit: null }, ... }]
+ * findRangeExpressions(tokens, cardinals);
+ */
+function findRangeExpressions(tokens, cardinals, options = {}) {
+  const style = options.rangeStyle || 'hyphen';
+  if (!RANGE_STYLES.includes(style)) {
+    throw new Error(`Unknown range style "${style}". Expected one of: ${RANGE_STYLES.join(', ')}`);
+  }
+  const format = getNumberFormat(options);
+  const percentSymbol = (options.percentStyle || 'symbol') === 'symbol';
+  const currencySymbol = options.currencyStyle === 'symbol';
+  const prefixStyle = getPrefixStyle(options);
+
+  const cardinalsByToken = new Map(cardinals.map((cardinal) => [cardinal.firstToken, cardinal]));
+  const expressions = [];
+
+  tokens.forEach((token, index) => {
+    const bounds = readBounds(tokens, index, cardinalsByToken);
+    if (!bounds) {
+      return;
+    }
+
+    const { form, lower, upper } = bounds;
+    const word = tokens[upper.lastToken + 1];
+    const percent = Boolean(word && PERCENT_WORDS.has(word.text));
+    const currency = !percent && word ? findCurrency(word.text) : null;
+
+    // The unit is written with both bounds ("30%-40%", "$1,000-$2,000") or once
+    // after the range ("1,000-2,000 ₪", "3-4 אחוזים")
+    let before = '';
+    let after = '';
+    let suffix = '';
+    if ((percent && !percentSymbol) || (currency && !currencySymbol)) {
+      suffix = ` ${word.text}`;
+    } else if (percent) {
+      after = '%';
+    } else if (currency && CURRENCIES[currency].symbolFirst) {
+      before = CURRENCIES[currency].symbol;
+    } else if (currency) {
+      suffix = ` ${CURRENCIES[currency].symbol}`;
+    }
+    const from = before + formatNumber(lower.whole, lower.decimals, format) + after;
+    const to = before + formatNumber(upper.whole, upper.decimals, format) + after;
+
+    let range;
+    if (style === 'hyphen' || form === 'joined') {
+      range = `${formatPrefix(bounds.prefix, prefixStyle)}${from}-${to}`;
+    } else if (form === 'between') {
+      range = `${token.text} ${from} ${formatPrefix('ל', prefixStyle)}${to}`;
+    } else {
+      range = `${formatPrefix(lower.prefix, prefixStyle)}${from} ${UNTIL} ${to}`;
+    }
+
+    const lastToken = percent || currency ? upper.lastToken + 1 : upper.lastToken;
+    expressions.push({
+      startIndex: token.start,
+      endIndex: tokens[lastToken].end,
+      firstToken: index,
+      lastToken,
+      original: tokens.slice(index, lastToken + 1).map((t) => t.text).join(' '),
+      normalized: range + suffix,
+      value: {
+        from: Number(`${lower.whole}.${lower.decimals || 0}`),
+        to: Number(`${upper.whole}.${upper.decimals || 0}`),
+        unit: percent ? 'percent' : currency,
+      },
+      class: 'range',
+    });
+  });
+
+  return expressions;
+}
+
+module.exports = {
+  RANGE_STYLES,
+  findRangeExpressions,
+};
@@ -0,0 +1,115 @@
+/**
+ * Redaction of Personal Numbers
+ *
+ * This module masks the personal numbers found by the recognizers - card numbers,
+ * security codes, ID numbers, bank accounts and phone numbers - once they have
+ * been assembled into digits, so that a transcript can be stored without them
+ * ("4580-1234-5678-9015" -> "****-****-****-9015").
+ *
+ * @module redaction
+ */
+
+// Classes of the expressions that can be redacted
+const REDACTED_CLASSES = ['card', 'cvv', 'id', 'account', 'phone'];
+
+// Number of trailing digits left visible, for numbers longer than that
+const VISIBLE_DIGITS = 4;
+
+/**
+ * Returns the classes selected for redaction by the normalization options
+ *
+ * @param {Object} [options] - Normalization options
+ * @param {boolean|Array<string>} [options.redact=false] - `true` for every class of
+ * `REDACTED_CLASSES`, or a list of the classes to redact
+ * @returns {Array<string>} The classes to redact, empty if redaction is off
+ * @throws {Error} If `redact` is neither a boolean nor a list, or an unknown class is
+ * listed
+ */
+function getRedactedClasses(options = {}) {
+  const { redact } = options;
+  if (!redact) {
+    return [];
+  }
+  if (redact !== true && !Array.isArray(redact)) {
+    throw new Error(`Invalid redaction option ${JSON.stringify(redact)}. Expected true or a list of: ${REDACTED_CLASSES.join(', ')}`);
+  }
+
+  const classes = redact === true ? REDACTED_CLASSES : redact;
+  classes.forEach((name) => {
+    if (!REDACTED_CLASSES.includes(name)) {
+      throw new Error(`Unknown redaction class "${name}". Expected one of: ${REDACTED_CLASSES.join(', ')}`);
+    }
+  });
+  return classes;
+}
+
+/**
+ * Masks the digits of a normalized number, keeping its separators and last four
+ * digits; numbers of four digits or fewer are masked completely
+ *
+ * @param {string} normalized - The normalized number ("4580-1234-5678-9015")
+ * @param {string} [mask='*'] - The character written instead of each digit
+ * @returns {string} The masked number
+ *
+ * @example
+ * // Returns "****-****-****-9015"
+ * maskDigits('4580-1234-5678-9015');
+ */
+function maskDigits(normalized, mask = '*') {
+  const digitCount = normalized.replace(/\D/g, '').length;
+  const visible = digitCount > VISIBLE_DIGITS ? VISIBLE_DIGITS : 0;
+
+  let seen = 0;
+  return normalized.replace(/\d/g, (digit) => {
+    seen += 1;
+    return seen > digitCount - visible ? digit : mask;
+  });
+}
+
+/**
+ * Redacts the selected expressions of the classes chosen in the options
+ *
+ * Redacted expressions get a masked `normalized` text, lose their `value` and their
+ * spoken `original` and are marked with `redacted: true`. Expressions of these
+ * classes left unnormalized, such as a phone number of the wrong length, only lose
+ * their `original`, so that it is not reported in the issues.
+ *
+ * @param {Array<Object>} expressions - The selected expressions
+ * @param {Object} [options] - Normalization options
+ * @param {boolean|Array<string>} [options.redact=false] - The classes to redact, see
+ * `getRedactedClasses`
+ * @param {string} [options.redactMask='*'] - The character written instead of each
+ * masked digit
+ * @returns {Array<Object>} The expressions, redacted where needed
+ * @throws {Error} If the options are invalid
+ */
+function redactExpressions(expressions, options = {}) {
+  const classes = getRedactedClasses(options);
+  const mask = options.redactMask === undefined ? '*' : options.redactMask;
+  if (typeof mask !== 'string' || mask.length !== 1) {
+    throw new Error(`Invalid redaction mask "${mask}". Expected a single character`);
+  }
+
+  return expressions.map((expression) => {
+    if (!classes.includes(expression.class)) {
+      return expression;
+    }
+    if (expression.normalized === null) {
+      return { ...expression, original: null };
+    }
+    return {
+      ...expression,
+      normalized: maskDigits(expression.normalized, mask),
+      original: null,
+      value: null,
+      redacted: true,
+    };
+  });
+}
+
+module.exports = {
+  REDACTED_CLASSES,
+  getRedactedClasses,
+  maskDigits,
+  redactExpressions,
+};
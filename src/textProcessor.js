@@ -7,6 +7,51 @@
  */
 
 const numberPatterns = require('./numberPatterns');
+const { findNumberExpressions } = require('./numberRecognizer');
+const { findLiteralTokens } = require('./disambiguation');
+const { findProtectedRanges } = require('./protection');
+const { formatPrefix, getPrefixStyle } = require('./prefixes');
+const {
+  formatNumber, formatYear, getNumberFormat, writeDigits,
+} = require('./numberFormat');
+const { findOrdinalExpressions } = require('./ordinals');
+const { findDateExpressions } = require('./dates');
+const { findTimeExpressions } = require('./times');
+const { findMoneyExpressions } = require('./money');
+const { findPercentageExpressions } = require('./percentages');
+const { findNegativeExpressions } = require('./negatives');
+const { findRangeExpressions } = require('./ranges');
+const { findDecimalExpressions } = require('./decimals');
+const { findFractionExpressions } = require('./fractions');
+const { findCardExpressions, findCvvExpressions } = require('./cards');
+const { findIdExpressions } = require('./idNumbers');
+const { findBankAccountExpressions } = require('./bankAccounts');
+const { findPhoneExpressions } = require('./phones');
+const { findDigitSequenceExpressions } = require('./digitSequences');
+const { markApproximations } = require('./approximations');
+const { applyDigitPolicy } = require('./digitPolicy');
+const { redactExpressions } = require('./redaction');
+
+// Recognizers of the classes built on top of cardinal numbers, in priority order.
+// Each one is called with the positioned tokens, the cardinal expressions and the
+// normalization options, and returns candidate expressions.
+const CLASS_RECOGNIZERS = [
+  findDateExpressions,
+  findTimeExpressions,
+  findMoneyExpressions,
+  findPercentageExpressions,
+  findNegativeExpressions,
+  findRangeExpressions,
+  findDecimalExpressions,
+  findFractionExpressions,
+  findCardExpressions,
+  findCvvExpressions,
+  findIdExpressions,
+  findBankAccountExpressions,
+  findPhoneExpressions,
+  findDigitSequenceExpressions,
+  findOrdinalExpressions,
+];
 
 /**
  * Tokenizes Hebrew text into words
@@ -25,63 +70,154 @@ function tokenize(text) {
 }
 
 /**
- * Detects all possible Hebrew number expressions in a text
+ * Tokenizes Hebrew text into words and punctuation marks with their positions
  *
- * This function scans the text looking for spans of 1-5 words that
- * might represent Hebrew number expressions
+ * Hyphens, apostrophes and quotes inside a word are kept ("אחד-עשר", "קמ\"ש"),
+ * while surrounding punctuation becomes a separate token.
  *
- * @param {string} text - The Hebrew text to analyze
- * @returns {Array<{startIndex: number, endIndex: number, original: string, normalized: string}>} Array of detected numbers
+ * @param {string} text - The Hebrew text to tokenize
+ * @returns {Array<{text: string, start: number, end: number}>} Array of positioned tokens
+ *
+ * @example
+ * // Returns [{ text: 'שלושה', start: 0, end: 5 }, { text: ',', start: 5, end: 6 }]
+ * tokenizeWithOffsets('שלושה,');
  */
-function detectNumberExpressions(text) {
-  const allPatterns = numberPatterns.getAllPatterns();
-  const tokens = tokenize(text);
-  const results = [];
-
-  // Check all possible word combinations from 1 to 5 words
-  for (let windowSize = 5; windowSize >= 1; windowSize--) {
-    for (let i = 0; i <= tokens.length - windowSize; i++) {
-      const phrase = tokens.slice(i, i + windowSize).join(' ');
-
-      // Check if this phrase is a known number pattern
-      if (allPatterns[phrase]) {
-        // Calculate the start and end position in the original text
-        let startIndex = 0;
-        for (let j = 0; j < i; j++) {
-          startIndex += tokens[j].length + 1; // +1 for the space
-        }
-
-        const endIndex = startIndex + phrase.length;
-
-        results.push({
-          startIndex,
-          endIndex,
-          original: phrase,
-          normalized: allPatterns[phrase],
-        });
-      }
-    }
+function tokenizeWithOffsets(text) {
+  const tokens = [];
+  const wordPart = '[\\u0590-\\u05FFA-Za-z0-9]+';
+  const tokenPattern = new RegExp(`${wordPart}(?:['"\\u05F3\\u05F4\\-\\u05BE.,:]${wordPart})*['\\u05F3]?|\\S`, 'g');
+
+  let match = tokenPattern.exec(text);
+  while (match) {
+    tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+    match = tokenPattern.exec(text);
   }
 
-  // Sort by position and filter overlapping matches (keep the longest)
-  results.sort((a, b) => a.startIndex - b.startIndex);
+  return tokens;
+}
 
-  const filteredResults = [];
-  for (let i = 0; i < results.length; i++) {
-    const current = results[i];
+/**
+ * Formats the value of a detected number expression
+ *
+ * Years ("בשנת אלף תשע מאות ...") are written without thousands separators.
+ *
+ * @param {Object} expression - The number expression from the recognizer
+ * @param {Array<{text: string}>} tokens - The positioned tokens of the text
+ * @param {Object} format - The number format, see `getNumberFormat`
+ * @returns {string} The digits of the expression
+ * @private
+ */
+function formatExpressionValue(expression, tokens, format) {
+  const previous = expression.firstToken > 0 ? tokens[expression.firstToken - 1].text : '';
+  if (/^[ובלמכה]*שנת$/.test(previous)) {
+    return formatYear(expression.value);
+  }
 
-    // Check if this result overlaps with any we've already added
-    const overlaps = filteredResults.some((r) => (current.startIndex >= r.startIndex && current.startIndex < r.endIndex)
-      || (current.endIndex > r.startIndex && current.endIndex <= r.endIndex)
-      || (current.startIndex <= r.startIndex && current.endIndex >= r.endIndex));
+  return formatNumber(expression.value, '', format);
+}
 
-    // Only add if it doesn't overlap
-    if (!overlaps) {
-      filteredResults.push(current);
+/**
+ * Picks a non-overlapping set of expressions from competing candidates
+ *
+ * Earlier expressions win, then longer ones, then the candidate listed first.
+ * Protected candidates (`normalized: null`) take part in the selection so they
+ * block other candidates; they are returned too, and left out by the callers that
+ * rewrite the text.
+ *
+ * @param {Array<Object>} candidates - Candidate expressions, in priority order
+ * @returns {Array<Object>} The selected expressions, sorted by position
+ * @private
+ */
+function selectExpressions(candidates) {
+  const ordered = candidates
+    .map((candidate, priority) => ({ candidate, priority }))
+    .sort((a, b) => a.candidate.startIndex - b.candidate.startIndex
+      || (b.candidate.endIndex - b.candidate.startIndex)
+        - (a.candidate.endIndex - a.candidate.startIndex)
+      || a.priority - b.priority);
+
+  const selected = [];
+  let coveredUntil = 0;
+  ordered.forEach(({ candidate }) => {
+    if (candidate.startIndex >= coveredUntil) {
+      selected.push(candidate);
+      coveredUntil = candidate.endIndex;
     }
-  }
+  });
+
+  return selected;
+}
+
+/**
+ * Selects the expressions of a text, protected ones included
+ *
+ * Approximate numbers are marked here, small counts are kept as words when
+ * `options.digitPolicy` asks for it, and personal numbers are masked when
+ * `options.redact` asks for it, so every caller sees the same expressions. Nothing
+ * is taken from the ranges protected by the lexicon or `options.protectedRanges`.
+ * The digits are written in `options.digitScript` last.
+ *
+ * @param {string} text - The Hebrew text to analyze
+ * @param {Object} [options] - Normalization options, passed to the class recognizers
+ * @returns {Array<Object>} The selected expressions, sorted by position
+ * @private
+ */
+function findExpressions(text, options = {}) {
+  const tokens = tokenizeWithOffsets(text);
+  const prefixStyle = getPrefixStyle(options);
+  const format = getNumberFormat(options);
+
+  const literalTokens = findLiteralTokens(tokens);
+
+  const cardinals = findNumberExpressions(tokens, literalTokens).map((expression) => ({
+    ...expression,
+    class: 'cardinal',
+    normalized: formatPrefix(expression.prefix, prefixStyle)
+      + formatExpressionValue(expression, tokens, format),
+  }));
+
+  const candidates = [];
+  CLASS_RECOGNIZERS.forEach((recognize) => {
+    candidates.push(...recognize(tokens, cardinals, options));
+  });
+  candidates.push(...cardinals);
+
+  // Recognizers that read number words directly must not take the literal ones either,
+  // and nothing is taken from a protected range
+  const protectedRanges = findProtectedRanges(text, options);
+  const quantities = candidates.filter(({
+    firstToken, lastToken, startIndex, endIndex,
+  }) => ![...literalTokens].some((index) => index >= firstToken && index <= lastToken)
+    && !protectedRanges.some(({ start, end }) => start < endIndex && startIndex < end));
 
-  return filteredResults;
+  const selected = markApproximations(selectExpressions(quantities), tokens, text, prefixStyle)
+    .map((expression) => ({
+      ...expression,
+      original: text.substring(expression.startIndex, expression.endIndex),
+    }));
+  return redactExpressions(applyDigitPolicy(selected, tokens, options), options)
+    .map((expression) => (expression.normalized === null ? expression : {
+      ...expression,
+      normalized: writeDigits(expression.normalized, format),
+    }));
+}
+
+/**
+ * Detects all Hebrew number expressions in a text
+ *
+ * Number words are recognized and parsed compositionally, so every valid
+ * cardinal is detected without relying on a table of known phrases. The
+ * cardinals are then offered to the recognizers of the other classes
+ * (dates, times, money, percentages, decimals, ordinals, ...), whose expressions
+ * take precedence over plain cardinals.
+ *
+ * @param {string} text - The Hebrew text to analyze
+ * @param {Object} [options] - Normalization options, passed to the class recognizers
+ * @returns {Array<{startIndex: number, endIndex: number, original: string, normalized: string,
+ * value: number, class: string}>} Array of detected numbers
+ */
+function detectNumberExpressions(text, options = {}) {
+  return findExpressions(text, options).filter((expression) => expression.normalized !== null);
 }
 
 /**
@@ -123,9 +259,6 @@ function handleSpecialCases(text) {
     },
   );
 
-  // Handle "וחצי" (and a half) expressions
-  processedText = processedText.replace(/(\d+)\s+וחצי/g, '$1.5');
-
   return processedText;
 }
 
@@ -170,36 +303,96 @@ function reconstruct(originalText, convertedExpressions) {
     result = prefix + expr.normalized + suffix;
   }
 
-  // Special case handling for specific patterns
-  // Replace "ו" before numbers with "ו-" attached to the word
-  result = result.replace(/\bו\s+([0-9,]+)/g, 'ו-$1');
-
   return result;
 }
 
 /**
- * Normalizes a Hebrew text by converting number expressions to digits
+ * Builds the normalized text from detected expressions, recording where each
+ * expression ends up in the output
  *
- * @param {string} text - The Hebrew text to normalize
- * @returns {string} The normalized text
+ * @param {string} originalText - The original text
+ * @param {Array<Object>} expressions - Non-overlapping expressions with `startIndex`,
+ * `endIndex`, `original`, `normalized`, `value` and `class`
+ * @returns {{text: string, spans: Array<Object>}} The normalized text and its spans
+ *
+ * @example
+ * // Returns { text: "יש 5 ילדים", spans: [{ start: 3, end: 8, outStart: 3, outEnd: 4, ... }] }
+ * applyExpressions("יש חמישה ילדים", [{ startIndex: 3, endIndex: 8, normalized: "5", ... }]);
  */
-function normalizeTextWithExpressions(text) {
-  // First handle special cases
-  let processedText = handleSpecialCases(text);
+function applyExpressions(originalText, expressions) {
+  const sortedExpressions = [...expressions].sort((a, b) => a.startIndex - b.startIndex);
+  const spans = [];
 
-  // Detect number expressions
-  const expressions = detectNumberExpressions(processedText);
+  let output = '';
+  let cursor = 0;
+  sortedExpressions.forEach((expr) => {
+    output += originalText.substring(cursor, expr.startIndex);
 
-  // Reconstruct the text with normalized expressions
-  processedText = reconstruct(processedText, expressions);
+    const outStart = output.length;
+    output += expr.normalized;
 
-  return processedText;
+    spans.push({
+      start: expr.startIndex,
+      end: expr.endIndex,
+      outStart,
+      outEnd: output.length,
+      original: expr.original,
+      normalized: expr.normalized,
+      value: expr.value,
+      class: expr.class,
+      ...(expr.redacted && { redacted: true }),
+    });
+    cursor = expr.endIndex;
+  });
+  output += originalText.substring(cursor);
+
+  return { text: output, spans };
+}
+
+/**
+ * Normalizes a Hebrew text and reports every span that was changed
+ *
+ * Expressions that a recognizer left unnormalized on purpose, with an `issue`
+ * such as an invalid phone number length, are reported in `issues`.
+ *
+ * @param {string} text - The Hebrew text to normalize
+ * @param {Object} [options] - Normalization options
+ * @returns {{text: string, spans: Array<Object>, issues: Array<{start: number, end: number,
+ * original: string, class: string, issue: string}>}} The normalized text, its spans and
+ * the issues found
+ */
+function normalizeTextDetailed(text, options = {}) {
+  const expressions = findExpressions(text, options);
+  const result = applyExpressions(text, expressions.filter((expr) => expr.normalized !== null));
+
+  const issues = expressions.filter((expr) => expr.issue).map((expr) => ({
+    start: expr.startIndex,
+    end: expr.endIndex,
+    original: expr.original,
+    class: expr.class,
+    issue: expr.issue,
+  }));
+  return { ...result, issues };
+}
+
+/**
+ * Normalizes a Hebrew text by converting number expressions to digits
+ *
+ * @param {string} text - The Hebrew text to normalize
+ * @param {Object} [options] - Normalization options
+ * @returns {string} The normalized text
+ */
+function normalizeTextWithExpressions(text, options = {}) {
+  return normalizeTextDetailed(text, options).text;
 }
 
 module.exports = {
   tokenize,
+  tokenizeWithOffsets,
   detectNumberExpressions,
   handleSpecialCases,
   reconstruct,
+  applyExpressions,
+  normalizeTextDetailed,
   normalizeTextWithExpressions,
 };
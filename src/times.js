@@ -0,0 +1,307 @@
+/**
+ * Hebrew Times of Day
+ *
+ * This module recognizes spoken clock times in Hebrew text ("שלוש ורבע",
+ * "עשרים לחמש", "שמונה בבוקר", "שתיים חמישים") and renders them as "3:15",
+ * "4:40", "8:00" and "2:50". With the 24-hour format, a following part of the
+ * day ("בערב", "בלילה") moves the hour to the afternoon ("עשר וחצי בלילה" ->
+ * "22:30 בלילה").
+ *
+ * Hours are counted with feminine numbers ("שלוש", not "שלושה"), which keeps
+ * quantities such as "בשלושה וחצי אחוזים" or "שני בבוקר" out of this class.
+ *
+ * @module times
+ */
+
+const { formatPrefix, getPrefixStyle } = require('./prefixes');
+
+// Supported output formats
+const TIME_FORMATS = ['12h', '24h'];
+
+// First words of the feminine numbers that name the hours one to twelve
+const HOUR_WORDS = new Set([
+  'אחת', 'שתיים', 'שתים', 'שלוש', 'ארבע', 'חמש', 'שש', 'שבע', 'שמונה', 'תשע', 'עשר',
+]);
+
+// Fractions of an hour that follow it with "ו" ("שלוש ורבע")
+const FRACTION_MINUTES = { ורבע: 15, וחצי: 30 };
+
+// Words preceding a time that make it unambiguous ("בשעה שלוש ורבע")
+const TIME_CUES = new Set(['שעה', 'השעה', 'בשעה', 'לשעה', 'משעה', 'מהשעה', 'עד', 'בסביבות']);
+
+// Words that make a following hour and minutes a quantity ("הילד בן חמש וחצי")
+const QUANTITY_CUES = new Set([
+  'בן', 'בת', 'גיל', 'בגיל', 'ציון', 'מחיר', 'המחיר', 'עולה', 'עלה', 'עלתה', 'שווה',
+]);
+
+// How many tokens before a time may hold a quantity cue ("המחיר הוא שתיים חמישים")
+const QUANTITY_CUE_WINDOW = 2;
+
+// Proclitics that introduce a time on the hour itself ("בשלוש", "לחמש", "משש")
+const TIME_PREFIXES = new Set(['ב', 'ל', 'מ', 'וב', 'ול', 'ומ']);
+
+// Words for the minutes, which may follow them ("עשרים דקות לחמש")
+const MINUTE_WORDS = new Set(['דקות', 'דקה']);
+
+/**
+ * Parts of the day that may follow a time, with the rule that converts an hour
+ * said with them to the 24-hour clock
+ */
+const DAY_PERIODS = [
+  { words: ['לפנות', 'בוקר'], toDay: (hour) => (hour === 12 ? 0 : hour) },
+  { words: ['בבוקר'], toDay: (hour) => (hour === 12 ? 0 : hour) },
+  { words: ['בצהריים'], toDay: (hour) => (hour <= 5 ? hour + 12 : hour) },
+  { words: ['אחר', 'הצהריים'], toDay: (hour) => (hour === 12 ? hour : hour + 12) },
+  { words: ['אחרי', 'הצהריים'], toDay: (hour) => (hour === 12 ? hour : hour + 12) },
+  { words: ['בערב'], toDay: (hour) => (hour === 12 ? hour : hour + 12) },
+  { words: ['בלילה'], toDay: (hour) => (hour >= 6 && hour < 12 ? hour + 12 : hour % 12) },
+];
+
+/**
+ * Finds the part of the day that starts at a token
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the token to check
+ * @returns {Object|null} The matching entry of `DAY_PERIODS`, or null
+ * @private
+ */
+function readDayPeriod(tokens, index) {
+  return DAY_PERIODS.find(({ words }) => words
+    .every((word, offset) => tokens[index + offset] && tokens[index + offset].text === word))
+    || null;
+}
+
+/**
+ * Checks whether a cardinal expression can name an hour
+ *
+ * @param {Object} [cardinal] - A cardinal expression
+ * @returns {boolean} True for the feminine numbers one to twelve
+ * @private
+ */
+function isHour(cardinal) {
+  return Boolean(cardinal) && cardinal.value >= 1 && cardinal.value <= 12
+    && HOUR_WORDS.has(cardinal.tokens[0]);
+}
+
+/**
+ * Reads the minutes after an hour ("ורבע", "וחמישים ושתיים דקות", "חמישים")
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the token after the hour
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @returns {{minutes: number, lastToken: number, explicit: boolean}|null} The minutes,
+ * whether they were said with "דקות", or null
+ * @private
+ */
+function readMinutesAfter(tokens, index, cardinalsByToken) {
+  if (index >= tokens.length) {
+    return null;
+  }
+
+  const fraction = FRACTION_MINUTES[tokens[index].text];
+  if (fraction) {
+    return { minutes: fraction, lastToken: index, explicit: false };
+  }
+
+  const cardinal = cardinalsByToken.get(index);
+  if (!cardinal || cardinal.value >= 60 || (cardinal.prefix !== 'ו' && cardinal.prefix !== '')) {
+    return null;
+  }
+  // Without "ו" only whole tens and above are minutes ("שתיים חמישים", not "שתיים שלוש")
+  if (cardinal.prefix === '' && cardinal.value < 10) {
+    return null;
+  }
+
+  const minuteWord = tokens[cardinal.lastToken + 1]
+    && MINUTE_WORDS.has(tokens[cardinal.lastToken + 1].text);
+  return {
+    minutes: cardinal.value,
+    lastToken: minuteWord ? cardinal.lastToken + 1 : cardinal.lastToken,
+    explicit: minuteWord,
+  };
+}
+
+/**
+ * Reads a time said as minutes before the hour ("עשרים לחמש", "רבע לשמונה")
+ *
+ * Minutes said as a number are not a time when a word follows the hour ("עשרים לחמש
+ * אנשים"), unless a cue, a proclitic, "דקות" or a part of the day shows they are;
+ * such a time is returned with `rejected: true`.
+ *
+ * @param {Array<{text: string}>} tokens - Positioned tokens
+ * @param {number} index - Index of the first token
+ * @param {Map<number, Object>} cardinalsByToken - Cardinal expressions by first token
+ * @param {boolean} cued - Whether a time cue precedes the first token
+ * @returns {Object|null} The time with its prefix and last token, or null
+ * @private
+ */
+function readMinutesBefore(tokens, index, cardinalsByToken, cued) {
+  const split = tokens[index].text.match(/^([ובלמ]{0,2})רבע$/);
+  const cardinal = cardinalsByToken.get(index);
+
+  let minutes;
+  let prefix;
+  let next;
+  if (split) {
+    [, prefix] = split;
+    minutes = 15;
+    next = index + 1;
+  } else if (cardinal && cardinal.value < 30 && !cardinal.prefix.includes('מ')) {
+    ({ prefix } = cardinal);
+    minutes = cardinal.value;
+    next = cardinal.lastToken + 1;
+  } else {
+    return null;
+  }
+
+  const explicit = Boolean(tokens[next]) && MINUTE_WORDS.has(tokens[next].text);
+  if (explicit) {
+    next += 1;
+  }
+
+  const hour = cardinalsByToken.get(next);
+  if (!hour || hour.prefix !== 'ל' || !isHour(hour)) {
+    return null;
+  }
+  // Only the usual round minutes are a time without "דקות" ("עשרים לחמש")
+  if (!explicit && !split && ![5, 10, 20, 25].includes(minutes)) {
+    return null;
+  }
+  // "עשרים לחמש אנשים" counts people
+  const following = tokens[hour.lastToken + 1];
+  const noun = Boolean(following) && /^[א-ת]/.test(following.text)
+    && !readDayPeriod(tokens, hour.lastToken + 1);
+
+  return {
+    prefix,
+    hour: hour.value === 1 ? 12 : hour.value - 1,
+    minutes: 60 - minutes,
+    lastToken: hour.lastToken,
+    rejected: noun && !split && !explicit && !cued && !TIME_PREFIXES.has(prefix),
+  };
+}
+
+/**
+ * Renders a time in the requested format
+ *
+ * @param {string} prefix - The proclitic prefix of the time
+ * @param {number} hour - The hour on the 12-hour clock
+ * @param {number} minutes - The minutes
+ * @param {Object|null} period - The part of the day said after the time
+ * @param {string} format - One of `TIME_FORMATS`
+ * @param {string} prefixStyle - One of `PREFIX_STYLES`
+ * @returns {{text: string, hour: number, minutes: number}} The rendered time and its value
+ * @private
+ */
+function renderTime(prefix, hour, minutes, period, format, prefixStyle) {
+  // Without a part of the day the hour is ambiguous, so it stays as it was said
+  const dayClock = format === '24h' && Boolean(period);
+  const clockHour = dayClock ? period.toDay(hour) : hour;
+  const hourText = dayClock ? `${clockHour}`.padStart(2, '0') : `${clockHour}`;
+
+  return {
+    text: `${formatPrefix(prefix, prefixStyle)}${hourText}:${`${minutes}`.padStart(2, '0')}`,
+    hour: clockHour,
+    minutes,
+  };
+}
+
+/**
+ * Finds times of day in a tokenized text
+ *
+ * A time is an hour followed by its minutes ("שלוש ורבע", "שתיים חמישים",
+ * "שבע ושלושים דקות"), minutes before an hour ("עשרים לחמש") or an hour followed
+ * by a part of the day ("שמונה בבוקר"). Where a time could also be a quantity, it
+ * needs a cue: "בשעה", a proclitic on the hour ("בשלוש וחצי"), a part of the day
+ * or "דקות" after it, or nothing but punctuation following it ("שלוש ורבע.", but a
+ * bare "חמש וחצי" is a mixed number). After a quantity word ("בן", "המחיר") or
+ * before a noun it is not a time: "חמש וחצי" is left to the other classes, and an
+ * hour with its minutes in numbers ("שתיים חמישים", "עשרים לחמש אנשים") is kept in
+ * words (`normalized: null`) rather than read as two cardinals.
+ *
+ * @param {Array<{text: string, start: number, end: number}>} tokens - Positioned tokens
+ * @param {Array<Object>} cardinals - Cardinal expressions found in the same tokens
+ * @param {Object} [options] - Normalization options
+ * @param {string} [options.timeFormat='12h'] - "12h" ("10:30 בלילה") or "24h", which
+ * uses the part of the day to write "22:30 בלילה"; times without one are kept as said
+ * @returns {Array<Object>} Time expressions with `class: 'time'` and a `value` of
+ * `{ hour, minutes }`
+ *
+ * @example
+ * // Returns [{ original: 'בשלוש וחצי', normalized: 'ב-3:30', ... }]
+ * findTimeExpressions(tokens, cardinals);
+ */
+function findTimeExpressions(tokens, cardinals, options = {}) {
+  const format = options.timeFormat || '12h';
+  if (!TIME_FORMATS.includes(format)) {
+    throw new Error(`Unknown time format "${format}". Expected one of: ${TIME_FORMATS.join(', ')}`);
+  }
+  const prefixStyle = getPrefixStyle(options);
+
+  const cardinalsByToken = new Map(cardinals.map((cardinal) => [cardinal.firstToken, cardinal]));
+  const expressions = [];
+  const addExpression = (firstToken, lastToken, prefix, hour, minutes, kept = false) => {
+    const period = readDayPeriod(tokens, lastToken + 1);
+    const time = renderTime(prefix, hour, minutes, period, format, prefixStyle);
+
+    expressions.push({
+      startIndex: tokens[firstToken].start,
+      endIndex: tokens[lastToken].end,
+      firstToken,
+      lastToken,
+      original: tokens.slice(firstToken, lastToken + 1).map((token) => token.text).join(' '),
+      normalized: kept ? null : time.text,
+      value: { hour: time.hour, minutes: time.minutes },
+      class: 'time',
+    });
+  };
+
+  tokens.forEach((token, index) => {
+    const previous = index > 0 ? tokens[index - 1].text : '';
+    const cued = TIME_CUES.has(previous);
+
+    // "עשרים לחמש", "רבע לשמונה" - but "בין חמש לשש" is a range
+    const before = previous !== 'בין' && readMinutesBefore(tokens, index, cardinalsByToken, cued);
+    if (before) {
+      const { lastToken, prefix, rejected } = before;
+      addExpression(index, lastToken, prefix, before.hour, before.minutes, rejected);
+      return;
+    }
+
+    const hour = cardinalsByToken.get(index);
+    if (!isHour(hour)) {
+      return;
+    }
+
+    const minutes = readMinutesAfter(tokens, hour.lastToken + 1, cardinalsByToken);
+    const lastToken = minutes ? minutes.lastToken : hour.lastToken;
+    const following = tokens[lastToken + 1];
+    const period = readDayPeriod(tokens, lastToken + 1);
+
+    // "שמונה בבוקר" - a whole hour is only a time with the part of the day
+    if (!minutes) {
+      if (period) {
+        addExpression(index, lastToken, hour.prefix, hour.value, 0);
+      }
+      return;
+    }
+
+    const quantity = tokens.slice(Math.max(0, index - QUANTITY_CUE_WINDOW), index)
+      .some((word) => QUANTITY_CUES.has(word.text));
+    // A bare "חמש וחצי" is left to the fractions
+    const half = tokens[hour.lastToken + 1].text === 'וחצי';
+    const clauseEnd = !quantity && !half && (!following || !/^[א-ת]/.test(following.text));
+    const time = cued || period || minutes.explicit || clauseEnd || TIME_PREFIXES.has(hour.prefix);
+    // "שתיים חמישים" stays in words rather than becoming "2 50"
+    if (time || !FRACTION_MINUTES[tokens[hour.lastToken + 1].text]) {
+      addExpression(index, lastToken, hour.prefix, hour.value, minutes.minutes, !time);
+    }
+  });
+
+  return expressions;
+}
+
+module.exports = {
+  TIME_FORMATS,
+  findTimeExpressions,
+};
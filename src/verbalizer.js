@@ -0,0 +1,548 @@
+/**
+ * Hebrew Number Verbalizer
+ *
+ * This module goes the other way round from the rest of the library: it writes
+ * the numbers of a text out in Hebrew words, for text-to-speech ("יש 5,302 ילדים" ->
+ * "יש חמשת אלפים שלוש מאות ושניים ילדים"). Cardinals, decimals, negative numbers,
+ * percentages, amounts of money, clock times ("3:15"), dates ("23.3.2024"), ranges
+ * ("3-5") and digit strings such as phone numbers are read, and the words are taken
+ * from the vocabulary tables of `hebrewNumberData`.
+ *
+ * A number agrees in gender with the noun after it ("חמישה ילדים", "חמש שנים") and
+ * takes the construct state where Hebrew needs it ("שני ספרים", "שלושת הספרים",
+ * "שלושת אלפים"). Numbers that count nothing are feminine, as in counting.
+ *
+ * @module verbalizer
+ */
+
+const { HEBREW_NUMBER_WORDS, ORDINAL_NUMBERS, UNIT_FORMS } = require('./hebrewNumberData');
+const { DECIMAL_POINT, ZERO } = require('./numberConverter');
+const { PREFIX_LETTERS, isPrefix } = require('./prefixes');
+const { CURRENCIES } = require('./money');
+const { MONTH_NAMES } = require('./dates');
+
+// Genders a number can agree with
+const GENDERS = ['feminine', 'masculine'];
+
+// Plural words of the hundreds and the thousands ("שלוש מאות", "שלושת אלפים")
+const HUNDREDS = 'מאות';
+const THOUSANDS = 'אלפים';
+
+// Scale words above the thousands, from the largest down
+const SCALES = [1e12, 1e9, 1e6];
+
+// Largest number that is read as a number rather than digit by digit
+const MAX_NUMBER = 1e15 - 1;
+
+// Word for the minus sign ("מינוס חמש")
+const MINUS = 'מינוס';
+
+// Word that joins the ends of a range ("שלוש עד חמש")
+const RANGE_WORD = 'עד';
+
+// Words for a percentage, and for the minutes of a time that are said as fractions
+const PERCENT = { singular: 'אחוז', plural: 'אחוזים', gender: 'masculine' };
+const FRACTION_MINUTES = { 15: 'רבע', 30: 'חצי' };
+
+// Words for the fraction characters ("3½" -> "שלוש וחצי")
+const FRACTION_WORDS = {
+  '½': 'חצי', '¼': 'רבע', '¾': 'שלושה רבעים', '⅓': 'שליש', '⅔': 'שני שלישים', '⅒': 'עשירית',
+};
+
+// Largest number read as an ordinal after "ה" ("הקומה ה-3" -> "הקומה השלישית")
+const MAX_ORDINAL = 10;
+
+// Plural nouns that do not take the gender of their ending ("חמש שנים", "שבעה שבועות")
+const FEMININE_NOUNS = new Set([
+  'שנים', 'נשים', 'ערים', 'ביצים', 'מילים', 'אבנים', 'פעמים', 'שעורים', 'כבשים', 'עזים',
+]);
+const MASCULINE_NOUNS = new Set([
+  'שבועות', 'לילות', 'מקומות', 'קולות', 'חלונות', 'שולחנות', 'רחובות', 'דורות', 'כוחות',
+  'אוצרות', 'חובות', 'שמות', 'אבות', 'עורות', 'לילה', 'בית', 'זית', 'מקרה', 'שדה',
+  'מחנה', 'מבנה', 'מעשה', 'מורה',
+]);
+
+// A number in the text, with the prefix letters attached to it ("ב-23.3.2024", "ה3")
+const NUMBER_PATTERN = new RegExp(
+  `(?<![\\w\\u0590-\\u05FF.,:/-])(?:([${PREFIX_LETTERS}]{1,3})[-־]?)?`
+  + '([₪$€]?-?(?:\\d(?:[\\d,.:/\'\\u2009-]*\\d)?[½¼¾⅓⅔⅒]?|[½¼¾⅓⅔⅒])%?(?:\\s?[₪$€])?)',
+  'g',
+);
+
+// Thousands separators other than the comma ("5'302", "5\u2009302")
+const GROUP_SEPARATOR_PATTERN = /(\d)['\u2009](?=\d{3}(?!\d))/g;
+
+// The word after a number, which may be the noun it counts
+const NEXT_WORD_PATTERN = /^\s+([א-ת]+)/;
+
+// The word before a number, which may be the noun an ordinal describes
+const PREVIOUS_WORD_PATTERN = /([א-ת]+)\s+$/;
+
+/**
+ * Returns the first word of a vocabulary table with a given value
+ *
+ * @param {Object<string, number>} table - A table of `HEBREW_NUMBER_WORDS`
+ * @param {number} value - The value to look for
+ * @returns {string} The word
+ * @private
+ */
+function wordFor(table, value) {
+  return Object.keys(table).find((word) => table[word] === value);
+}
+
+/**
+ * Returns the form of a teen in a given gender ("שלושה עשר", "שלוש עשרה")
+ *
+ * @param {number} value - A number from 11 to 19
+ * @param {string} gender - One of `GENDERS`
+ * @returns {string} The teen
+ * @private
+ */
+function teenFor(value, gender) {
+  const ten = gender === 'masculine' ? 'עשר' : 'עשרה';
+  const { teens } = HEBREW_NUMBER_WORDS;
+  return Object.keys(teens).find((word) => teens[word] === value && word.endsWith(` ${ten}`));
+}
+
+/**
+ * Spells out a number below a thousand as the parts that "ו" may join
+ *
+ * @param {number} value - A number from 0 to 999
+ * @param {string} gender - One of `GENDERS`
+ * @returns {Array<string>} The parts of the number ("מאה", "עשרים", "שלושה")
+ * @private
+ */
+function spellHundreds(value, gender) {
+  const parts = [];
+  const hundreds = Math.floor(value / 100);
+  const rest = value % 100;
+
+  if (hundreds) {
+    parts.push(hundreds <= 2
+      ? wordFor(HEBREW_NUMBER_WORDS.hundreds, hundreds * 100)
+      : `${UNIT_FORMS.feminine.absolute[hundreds - 1]} ${HUNDREDS}`);
+  }
+  if (rest > 10 && rest < 20) {
+    parts.push(teenFor(rest, gender));
+  } else {
+    if (rest >= 20) {
+      parts.push(wordFor(HEBREW_NUMBER_WORDS.tens, rest - (rest % 10)));
+    }
+    if (rest % 10 || rest === 10) {
+      parts.push(UNIT_FORMS[gender].absolute[(rest === 10 ? 10 : rest % 10) - 1]);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Joins the parts of a number, with "ו" before the last one
+ *
+ * @param {Array<string>} parts - The parts of the number
+ * @returns {string} The number in words
+ * @private
+ */
+function joinParts(parts) {
+  if (parts.length < 2) {
+    return parts.join('');
+  }
+  return [...parts.slice(0, -1), `ו${parts[parts.length - 1]}`].join(' ');
+}
+
+/**
+ * Spells out a whole number in Hebrew words
+ *
+ * The thousands and the scale words are counted with masculine numbers ("שלושת
+ * אלפים", "שלושה מיליון"), the hundreds with feminine ones ("שלוש מאות"), and the
+ * rest agrees with `gender`. The construct state is only used for two to ten, which
+ * have a distinct construct form.
+ *
+ * @param {number} value - A whole number from 0 to `MAX_NUMBER`
+ * @param {Object} [options] - Spelling options
+ * @param {string} [options.gender='feminine'] - One of `GENDERS`
+ * @param {boolean} [options.construct=false] - Whether the number is in the construct
+ * state before its noun
+ * @returns {string} The number in words
+ *
+ * @example
+ * // Returns "חמשת אלפים שלוש מאות ושניים"
+ * spellNumber(5302, { gender: 'masculine' });
+ * // Returns "שלושת"
+ * spellNumber(3, { gender: 'masculine', construct: true });
+ */
+function spellNumber(value, { gender = 'feminine', construct = false } = {}) {
+  if (value === 0) {
+    return ZERO;
+  }
+  if (value <= 10) {
+    return UNIT_FORMS[gender][construct ? 'construct' : 'absolute'][value - 1];
+  }
+
+  const parts = [];
+  SCALES.forEach((scale) => {
+    const count = Math.floor(value / scale) % 1000;
+    const word = wordFor(HEBREW_NUMBER_WORDS.largeNumbers, scale);
+    if (count === 1) {
+      parts.push(word);
+    } else if (count) {
+      const multiplier = count === 2 ? UNIT_FORMS.masculine.construct[1]
+        : joinParts(spellHundreds(count, 'masculine'));
+      parts.push(`${multiplier} ${word}`);
+    }
+  });
+
+  const thousands = Math.floor(value / 1000) % 1000;
+  if (thousands <= 2 && thousands) {
+    parts.push(wordFor(HEBREW_NUMBER_WORDS.thousands, thousands * 1000));
+  } else if (thousands <= 10 && thousands) {
+    parts.push(`${UNIT_FORMS.masculine.construct[thousands - 1]} ${THOUSANDS}`);
+  } else if (thousands) {
+    parts.push(`${joinParts(spellHundreds(thousands, 'masculine'))} ${wordFor(HEBREW_NUMBER_WORDS.thousands, 1000)}`);
+  }
+
+  parts.push(...spellHundreds(value % 1000, gender));
+  return joinParts(parts);
+}
+
+/**
+ * Reads a string of digits one digit at a time ("052" -> "אפס חמש שתיים")
+ *
+ * @param {string} digits - The digits
+ * @returns {string} The digits in words
+ * @private
+ */
+function spellDigits(digits) {
+  return [...digits].map((digit) => spellNumber(Number(digit))).join(' ');
+}
+
+/**
+ * Spells out a number written with digits, whole or decimal
+ *
+ * Decimal digits are read after "נקודה", their leading zeros one at a time
+ * ("2.07" -> "שתיים נקודה אפס שבע").
+ *
+ * @param {string} digits - The number, possibly with thousands separators and a
+ * decimal point
+ * @param {Object} [options] - Spelling options, see `spellNumber`
+ * @returns {string} The number in words
+ * @private
+ */
+function spellWritten(digits, options = {}) {
+  const [whole, fraction] = digits.replace(/,/g, '').split('.');
+  const words = spellNumber(Number(whole), fraction ? {} : options);
+  if (!fraction) {
+    return words;
+  }
+
+  const zeros = fraction.match(/^0*/)[0];
+  const rest = fraction.slice(zeros.length);
+  const fractionWords = [...zeros].map(() => ZERO);
+  if (rest) {
+    fractionWords.push(spellNumber(Number(rest)));
+  }
+  return `${words} ${DECIMAL_POINT} ${fractionWords.join(' ')}`;
+}
+
+/**
+ * Guesses the gender of a noun from its ending
+ *
+ * @param {string} noun - The noun, without the definite article
+ * @returns {string} One of `GENDERS`
+ * @private
+ */
+function nounGender(noun) {
+  if (FEMININE_NOUNS.has(noun)) {
+    return 'feminine';
+  }
+  if (MASCULINE_NOUNS.has(noun)) {
+    return 'masculine';
+  }
+  return /[הת]$/.test(noun) ? 'feminine' : 'masculine';
+}
+
+/**
+ * Splits the definite article off a word ("הקומה" -> "קומה")
+ *
+ * @param {string} word - A Hebrew word
+ * @returns {{stem: string, definite: boolean}} The word without its article, and
+ * whether it had one
+ * @private
+ */
+function splitArticle(word) {
+  const definite = word.length > 2 && word.startsWith('ה');
+  return { stem: definite ? word.slice(1) : word, definite };
+}
+
+/**
+ * Reads the noun that follows a number, if any
+ *
+ * @param {string} after - The text after the number
+ * @returns {{gender: string, definite: boolean}|null} The gender of the noun and
+ * whether it takes the definite article, or null if no Hebrew word follows
+ * @private
+ */
+function readNoun(after) {
+  const match = after.match(NEXT_WORD_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const { stem, definite } = splitArticle(match[1]);
+  return { gender: nounGender(stem), definite };
+}
+
+/**
+ * Counts a noun ("אחוז אחד", "שני אחוזים", "שלושה אחוזים")
+ *
+ * @param {number} value - The count
+ * @param {{singular: string, plural: string, gender: string}} noun - The noun
+ * @returns {string} The count and the noun, in words
+ * @private
+ */
+function countNoun(value, noun) {
+  if (value === 1) {
+    return `${noun.singular} ${spellNumber(1, noun)}`;
+  }
+  return `${spellNumber(value, { gender: noun.gender, construct: value === 2 })} ${noun.plural}`;
+}
+
+/**
+ * Spells out an amount of money ("₪123.50", "$5")
+ *
+ * @param {string} amount - The amount, without its currency symbol
+ * @param {string} symbol - The currency symbol
+ * @returns {string|null} The amount in words, or null if it is not an amount
+ * @private
+ */
+function spellMoney(amount, symbol) {
+  const match = amount.match(/^(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?$/);
+  const currency = Object.values(CURRENCIES).find((entry) => entry.symbol === symbol);
+  if (!match) {
+    return null;
+  }
+
+  const [singular] = currency.singular;
+  const units = {
+    singular,
+    plural: currency.words.find((word) => !currency.singular.includes(word)) || singular,
+  };
+  const subunits = { singular: currency.subunits[0], plural: currency.subunits[1] };
+  units.gender = nounGender(units.plural);
+  subunits.gender = nounGender(subunits.singular);
+
+  const whole = Number(match[1].replace(/,/g, ''));
+  const cents = match[2] ? Number(match[2].padEnd(2, '0')) : 0;
+  if (!cents) {
+    return countNoun(whole, units);
+  }
+  if (!whole) {
+    return countNoun(cents, subunits);
+  }
+  return `${countNoun(whole, units)} ו${countNoun(cents, subunits)}`;
+}
+
+/**
+ * Spells out a clock time ("3:15" -> "שלוש ורבע", "18:40" -> "שמונה עשרה וארבעים")
+ *
+ * @param {string} time - The time
+ * @returns {string|null} The time in words, or null if it is not a valid time
+ * @private
+ */
+function spellTime(time) {
+  const match = time.match(/^(\d{1,2}):(\d{2})$/);
+  const hour = match && Number(match[1]);
+  const minutes = match && Number(match[2]);
+  if (!match || hour > 23 || minutes > 59) {
+    return null;
+  }
+
+  const hourWords = spellNumber(hour || 12);
+  if (!minutes) {
+    return hourWords;
+  }
+  return `${hourWords} ו${FRACTION_MINUTES[minutes] || spellNumber(minutes)}`;
+}
+
+/**
+ * Spells out a date ("23.3.2024" -> "עשרים ושלושה במרץ אלפיים עשרים וארבע")
+ *
+ * @param {string} date - The date, its parts separated by dots or slashes
+ * @returns {string|null} The date in words, or null if it is not a valid date
+ * @private
+ */
+function spellDate(date) {
+  const match = date.match(/^(\d{1,2})([./])(\d{1,2})\2(\d{4})$/);
+  const day = match && Number(match[1]);
+  const month = match && Number(match[3]);
+  if (!match || day < 1 || day > 31 || month < 1 || month > 12) {
+    return null;
+  }
+
+  const year = spellNumber(Number(match[4]));
+  return `${spellNumber(day, { gender: 'masculine' })} ב${MONTH_NAMES[month - 1]} ${year}`;
+}
+
+/**
+ * Spells out a number written with a fraction character ("3½" -> "שלוש וחצי")
+ *
+ * @param {string} whole - The digits of the whole part, possibly empty
+ * @param {string} fraction - The fraction character
+ * @param {Object} [options] - Spelling options, see `spellNumber`
+ * @returns {string} The number in words
+ * @private
+ */
+function spellFraction(whole, fraction, options = {}) {
+  const words = FRACTION_WORDS[fraction];
+  return whole ? `${spellNumber(Number(whole), options)} ו${words}` : words;
+}
+
+/**
+ * Spells out a small number after "ה" as an ordinal agreeing with the noun before it
+ * ("הקומה ה-3" -> "השלישית", "הבניין ה-3" -> "השלישי"), masculine without one
+ * ("ה-3" -> "השלישי")
+ *
+ * @param {string} core - The number as written
+ * @param {string} before - The text before the number, with its prefix
+ * @returns {string|null} The ordinal, without its "ה", or null if the number is not
+ * an ordinal
+ * @private
+ */
+function spellOrdinal(core, before) {
+  const noun = before.match(PREVIOUS_WORD_PATTERN);
+  const value = Number(core);
+  if (!/^\d+$/.test(core) || value < 1 || value > MAX_ORDINAL) {
+    return null;
+  }
+
+  // The masculine form comes first in `ORDINAL_NUMBERS`, the feminine one last
+  const forms = Object.keys(ORDINAL_NUMBERS).filter((word) => ORDINAL_NUMBERS[word] === value);
+  // "והמקרה ה-2" - the noun may carry "ו" before its article
+  const gender = noun ? nounGender(splitArticle(noun[1].replace(/^ו(?=ה)/, '')).stem) : 'masculine';
+  return gender === 'masculine' ? forms[0] : forms[forms.length - 1];
+}
+
+/**
+ * Spells out the number at the core of a match, without its prefix
+ *
+ * @param {string} written - The number as written, with its sign, currency or
+ * percent; its thousands may be separated by commas, apostrophes or thin spaces
+ * @param {string} after - The text after the number
+ * @param {string} gender - The gender of numbers that count nothing
+ * @returns {string|null} The number in words, or null if it is left as it is
+ * @private
+ */
+function spellCore(written, after, gender) {
+  const core = written.replace(GROUP_SEPARATOR_PATTERN, '$1,');
+  const symbol = core.match(/^([₪$€])(.+)$/) || core.match(/^(.+?)\s?([₪$€])$/);
+  if (symbol) {
+    return /^[₪$€]/.test(core) ? spellMoney(symbol[2], symbol[1]) : spellMoney(symbol[1], symbol[2]);
+  }
+
+  const percent = core.match(/^(-?)(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?%$/);
+  if (percent) {
+    const number = percent[2].replace(/,/g, '');
+    const sign = percent[1] ? `${MINUS} ` : '';
+    return percent[3]
+      ? `${sign}${spellWritten(`${number}.${percent[3]}`)} ${PERCENT.plural}`
+      : sign + countNoun(Number(number), PERCENT);
+  }
+
+  if (core.includes(':')) {
+    return spellTime(core);
+  }
+
+  const noun = readNoun(after);
+  const options = noun ? { gender: noun.gender } : { gender };
+
+  const fraction = core.match(/^(-?)(\d*)([½¼¾⅓⅔⅒])$/);
+  if (fraction) {
+    const words = spellFraction(fraction[2], fraction[3], options);
+    return fraction[1] ? `${MINUS} ${words}` : words;
+  }
+  if (/^\d{1,2}([./])\d{1,2}\1\d{4}$/.test(core)) {
+    return spellDate(core);
+  }
+
+  const groups = core.match(/^\d+(?:-\d+)+$/) && core.split('-');
+  if (groups && groups.length === 2 && !/^0/.test(core) && !/-0/.test(core)) {
+    const [from, to] = groups.map((group) => spellNumber(Number(group), options));
+    return `${from} ${RANGE_WORD} ${to}`;
+  }
+  if (groups || /^0\d|^\d{16,}$/.test(core)) {
+    return (groups || [core]).map(spellDigits).join(', ');
+  }
+
+  const number = core.match(/^(-?)(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?$/);
+  if (!number || Number(number[2].replace(/,/g, '')) > MAX_NUMBER) {
+    return null;
+  }
+  const value = Number(number[2].replace(/,/g, ''));
+  const construct = Boolean(noun) && (value === 2 || (noun.definite && value <= 10));
+  const words = spellWritten(number[2] + (number[3] || ''), { ...options, construct });
+  return number[1] ? `${MINUS} ${words}` : words;
+}
+
+/**
+ * Writes the numbers of a text out in Hebrew words
+ *
+ * Prefix letters attached to a number, with or without a hyphen, are attached to its
+ * first word ("ב-3:15" -> "בשלוש ורבע"). A number up to ten after "ה" is read as an
+ * ordinal agreeing with the noun before it ("הקומה ה-3" -> "הקומה השלישית"), and
+ * "one" follows the noun it counts ("1 ילד" -> "ילד אחד"). Anything that cannot be
+ * read is left as it is.
+ *
+ * @param {string} text - The text to verbalize
+ * @param {Object} [options] - Verbalization options
+ * @param {string} [options.gender='feminine'] - Gender of the numbers that no noun
+ * follows: "feminine" ("שלוש") or "masculine" ("שלושה")
+ * @returns {string} The text with its numbers in words
+ * @throws {Error} If the gender is not supported
+ *
+ * @example
+ * // Returns "יש חמשת אלפים שלוש מאות ושניים ילדים"
+ * verbalizeText('יש 5,302 ילדים');
+ */
+function verbalizeText(text, options = {}) {
+  const gender = options.gender || 'feminine';
+  if (!GENDERS.includes(gender)) {
+    throw new Error(`Unknown gender "${gender}". Expected one of: ${GENDERS.join(', ')}`);
+  }
+
+  let output = '';
+  let cursor = 0;
+  [...text.matchAll(NUMBER_PATTERN)].forEach((match) => {
+    const [written, prefix = '', core] = match;
+    if (prefix && !isPrefix(prefix)) {
+      return;
+    }
+    const end = match.index + written.length;
+    const after = text.slice(end);
+    output += text.slice(cursor, match.index);
+    cursor = end;
+
+    // "הקומה ה-3" -> "הקומה השלישית"
+    const ordinal = prefix === 'ה' && spellOrdinal(core, text.slice(0, match.index));
+    if (ordinal) {
+      output += prefix + ordinal;
+      return;
+    }
+
+    // "1 ילד" -> "ילד אחד" - "one" comes after its noun
+    const noun = core === '1' && readNoun(after);
+    if (noun && !noun.definite) {
+      const [following, word] = after.match(NEXT_WORD_PATTERN);
+      output += `${prefix}${word} ${spellNumber(1, { gender: noun.gender })}`;
+      cursor += following.length;
+      return;
+    }
+
+    const words = spellCore(core, after, gender);
+    output += words === null ? written : prefix + words;
+  });
+  return output + text.slice(cursor);
+}
+
+module.exports = {
+  GENDERS,
+  spellNumber,
+  verbalizeText,
+};
@@ -0,0 +1,153 @@
+/**
+ * Word Aligner
+ *
+ * This module keeps word-level ASR data (timestamps, confidence) aligned with
+ * a sentence after its text has been normalized.
+ *
+ * @module wordAligner
+ */
+
+/**
+ * Locates each word of a transcript in the sentence text
+ *
+ * Words are searched in order, so repeated words map to successive occurrences.
+ *
+ * @param {string} text - The original sentence text
+ * @param {Array<{word: string}>} words - The words of the sentence
+ * @returns {Array<{start: number, end: number}|null>} Character range of each word,
+ * or null for words that do not appear in the text
+ * @private
+ */
+function locateWords(text, words) {
+  let cursor = 0;
+
+  return words.map(({ word }) => {
+    const start = typeof word === 'string' && word ? text.indexOf(word, cursor) : -1;
+    if (start === -1) {
+      return null;
+    }
+
+    cursor = start + word.length;
+    return { start, end: cursor };
+  });
+}
+
+/**
+ * Maps a position in the original text to the normalized text
+ *
+ * The position must lie outside of every span or on one of its boundaries.
+ *
+ * @param {number} position - Character position in the original text
+ * @param {Array<Object>} spans - Spans from `normalizeTextDetailed`
+ * @returns {number} The matching position in the normalized text
+ * @private
+ */
+function mapPosition(position, spans) {
+  return spans.reduce((mapped, span) => {
+    if (span.end <= position) {
+      return mapped + (span.outEnd - span.outStart) - (span.end - span.start);
+    }
+    return mapped;
+  }, position);
+}
+
+/**
+ * Merges a group of words that were consumed by the same normalized spans
+ *
+ * @param {Array<Object>} group - The words of the group with their ranges
+ * @param {string} normalizedText - The normalized sentence text
+ * @param {Array<Object>} spans - Spans from `normalizeTextDetailed`
+ * @returns {Object} A single word covering the whole group
+ * @private
+ */
+function mergeGroup(group, normalizedText, spans) {
+  const touched = spans.filter((span) => group.some(({ range }) => range.start < span.end
+    && range.end > span.start));
+  const start = Math.min(...group.map(({ range }) => range.start), ...touched.map((s) => s.start));
+  const end = Math.max(...group.map(({ range }) => range.end), ...touched.map((s) => s.end));
+
+  const merged = {
+    ...group[0].word,
+    word: normalizedText.slice(mapPosition(start, spans), mapPosition(end, spans)),
+    start: group[0].word.start,
+    end: group[group.length - 1].word.end,
+  };
+
+  const confidences = group
+    .map(({ word }) => word.confidence)
+    .filter((confidence) => typeof confidence === 'number');
+  if (confidences.length > 0) {
+    merged.confidence = Math.min(...confidences);
+  }
+
+  return merged;
+}
+
+/**
+ * Aligns the words of a transcript sentence with its normalized text
+ *
+ * Words consumed by the same normalized span ("חמש מאות" -> "500") are merged
+ * into a single word that starts when the first one starts and ends when the
+ * last one ends. The merged word keeps the lowest confidence of its parts.
+ * Words outside of any span are returned unchanged.
+ *
+ * @param {string} text - The original sentence text
+ * @param {Array<{word: string, start: number, end: number, confidence?: number}>} words -
+ * The words of the sentence, in order
+ * @param {{text: string, spans: Array<Object>}} result - The result of `normalizeTextDetailed`
+ * @returns {Array<Object>} The normalized words
+ *
+ * @example
+ * // Returns [{ word: '500', start: 0.2, end: 0.9, confidence: 0.8 }, { word: 'שקל', ... }]
+ * alignWords('חמש מאות שקל', [
+ *   { word: 'חמש', start: 0.2, end: 0.5, confidence: 0.9 },
+ *   { word: 'מאות', start: 0.5, end: 0.9, confidence: 0.8 },
+ *   { word: 'שקל', start: 0.9, end: 1.2, confidence: 0.95 },
+ * ], normalizeTextDetailed('חמש מאות שקל'));
+ */
+function alignWords(text, words, result) {
+  const { spans } = result;
+  if (spans.length === 0) {
+    return words.map((word) => ({ ...word }));
+  }
+
+  const ranges = locateWords(text, words);
+  const aligned = [];
+  let group = [];
+  let groupSpans = new Set();
+
+  const flush = () => {
+    if (group.length > 0) {
+      aligned.push(mergeGroup(group, result.text, spans));
+    }
+    group = [];
+    groupSpans = new Set();
+  };
+
+  words.forEach((word, index) => {
+    const range = ranges[index];
+    const overlapping = range
+      ? spans.filter((span) => range.start < span.end && range.end > span.start)
+      : [];
+
+    if (overlapping.length === 0) {
+      flush();
+      aligned.push({ ...word });
+      return;
+    }
+
+    // A word joins the current group only if it shares one of its spans
+    if (group.length > 0 && !overlapping.some((span) => groupSpans.has(span))) {
+      flush();
+    }
+    group.push({ word, range });
+    overlapping.forEach((span) => groupSpans.add(span));
+  });
+  flush();
+
+  return aligned;
+}
+
+module.exports = {
+  alignWords,
+};
@@ -29,6 +29,7 @@ class WorkerPool {
     this.workers = [];
     this.freeWorkers = [];
     this.taskQueue = [];
+    this.settings = {};
     this.initialized = false;
   }
 
@@ -60,18 +61,22 @@ class WorkerPool {
    */
   _createWorker() {
     return new Promise((resolve) => {
-      const worker = new Worker(this.workerScript);
+      const worker = new Worker(this.workerScript, { workerData: { settings: this.settings } });
 
       worker.on('message', (result) => {
-        // Get the callback for the current task
-        const { resolve: taskResolve } = worker.currentTask;
+        // Get the callbacks for the current task
+        const { resolve: taskResolve, reject: taskReject } = worker.currentTask;
 
         // Mark worker as free
         worker.currentTask = null;
         this.freeWorkers.push(worker);
 
-        // Resolve the task promise with the result
-        taskResolve(result);
+        // Settle the task promise: a task that threw in the worker replies { error }
+        if (result && !Array.isArray(result) && result.error !== undefined) {
+          taskReject(new Error(result.error));
+        } else {
+          taskResolve(result);
+        }
 
         // Process next task in queue if any
         if (this.taskQueue.length > 0) {
@@ -142,7 +147,8 @@ class WorkerPool {
    * Executes a task using an available worker from the pool.
    *
    * @param {*} data - The data to send to the worker
-   * @returns {Promise<*>} A promise that resolves with the worker's result
+   * @returns {Promise<*>} A promise that resolves with the worker's result, or rejects
+   * with the error the task threw in the worker
    */
   runTask(data) {
     // Ensure the pool is initialized
@@ -163,6 +169,19 @@ class WorkerPool {
     });
   }
 
+  /**
+   * Changes the settings of every worker without restarting it.
+   *
+   * Workers apply the settings before their next task; workers created later, for
+   * example to replace a failed one, start with them.
+   *
+   * @param {Object} settings - The settings to change, see `normalization-worker`
+   */
+  configure(settings) {
+    this.settings = { ...this.settings, ...settings };
+    this.workers.forEach((worker) => worker.postMessage({ type: 'configure', settings }));
+  }
+
   /**
    * Gracefully shuts down all workers in the pool.
    * Time for our linguistic ninjas to go home and rest!
@@ -183,6 +202,7 @@ class WorkerPool {
     this.workers = [];
     this.freeWorkers = [];
     this.taskQueue = [];
+    this.settings = {};
     this.initialized = false;
   }
 }
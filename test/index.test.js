@@ -2,7 +2,18 @@
  * Unit tests for Hebrew ITN system
  */
 
-const { normalizeText, normalizeNumber } = require('../src/index');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeText,
+  normalizeTextDetailed,
+  normalizeNumber,
+  verbalize,
+  setProtectedPhrases,
+  loadProtectedPhrases,
+  NumberParseError,
+} = require('../src/index');
 
 describe('Hebrew ITN - Number Normalization', () => {
   test('normalizes simple cardinal numbers', () => {
@@ -54,6 +65,58 @@ describe('Hebrew ITN - Number Normalization', () => {
     expect(normalizeNumber('שלושת אלפים מאתיים חמישים ושבעה')).toBe('3,257');
     expect(normalizeNumber('מיליון וחמש מאות אלף')).toBe('1,500,000');
   });
+
+  test('composes numbers that are not listed in any table', () => {
+    expect(normalizeNumber('ארבעת אלפים שש מאות שבעים ותשעה')).toBe('4,679');
+    expect(normalizeNumber('מאה ואחד-עשר')).toBe('111');
+    expect(normalizeNumber('שבע מאות שמונים ושמונה אלף תשע מאות תשעים ותשע')).toBe('788,999');
+    expect(normalizeNumber('שלושה מיליון ושבעים אלף וחמש')).toBe('3,070,005');
+    expect(normalizeNumber('תשע מאות תשעים ותשעה מיליארד תשע מאות תשעים ותשעה מיליון '
+      + 'תשע מאות תשעים ותשעה אלף תשע מאות תשעים ותשע')).toBe('999,999,999,999');
+  });
+
+  test('accepts every form of a thousands multiplier', () => {
+    expect(normalizeNumber('עשרת אלפים')).toBe('10,000');
+    expect(normalizeNumber('עשר אלף')).toBe('10,000');
+    expect(normalizeNumber('שלוש אלף')).toBe('3,000');
+    expect(normalizeNumber('שלושה אלף')).toBe('3,000');
+    expect(normalizeNumber('שלוש אלפים')).toBe('3,000');
+    expect(normalizeNumber('אחד עשר אלף')).toBe('11,000');
+    expect(normalizeNumber('מאה עשרים אלף')).toBe('120,000');
+    expect(normalizeNumber('מאתיים חמישים ושלושה אלף')).toBe('253,000');
+    expect(normalizeText('הגיעו עשר אלף איש ושלוש אלף מכוניות')).toBe('הגיעו 10,000 איש ו3,000 מכוניות');
+    expect(() => normalizeNumber('שני אלף')).toThrow(NumberParseError);
+    expect(() => normalizeNumber('אחד עשר אלפים')).toThrow(NumberParseError);
+  });
+
+  test('handles billions and trillions', () => {
+    expect(normalizeNumber('שלושה מיליארד ושבע מאות מיליון')).toBe('3,700,000,000');
+    expect(normalizeNumber('טריליון')).toBe('1,000,000,000,000');
+    expect(normalizeNumber('שני טריליון שלוש מאות מיליארד')).toBe('2,300,000,000,000');
+    expect(normalizeNumber('תשע מאות תשעים ותשעה טריליון תשע מאות תשעים ותשעה מיליארד '
+      + 'תשע מאות תשעים ותשעה מיליון תשע מאות תשעים ותשעה אלף תשע מאות תשעים ותשע'))
+      .toBe('999,999,999,999,999');
+    expect(normalizeText('התקציב עומד על שלושה מיליארד ושבע מאות מיליון שקלים'))
+      .toBe('התקציב עומד על 3,700,000,000 שקלים');
+    expect(normalizeText('החוב הגיע לטריליון וחצי דולר')).toBe('החוב הגיע ל-1,500,000,000,000 דולר');
+    expect(() => normalizeNumber('מיליארד טריליון')).toThrow(NumberParseError);
+  });
+
+  test('throws a NumberParseError for unparseable input', () => {
+    expect(() => normalizeNumber('שלום')).toThrow(NumberParseError);
+    expect(() => normalizeNumber('חמש ארבע')).toThrow(NumberParseError);
+    expect(() => normalizeNumber('אלף מיליון')).toThrow(NumberParseError);
+    expect(() => normalizeNumber('עשרים ו')).toThrow(NumberParseError);
+  });
+
+  test('normalizes decimal numbers without losing digits', () => {
+    expect(normalizeNumber('שלוש נקודה ארבע עשרה')).toBe('3.14');
+    expect(normalizeNumber('אפס נקודה חמש')).toBe('0.5');
+    expect(normalizeNumber('שתיים נקודה אפס שבע')).toBe('2.07');
+    expect(normalizeNumber('אלף ומאתיים נקודה אפס אפס אחת')).toBe('1,200.001');
+    expect(normalizeNumber('שלוש נקודה ארבע עשרה', { decimalSeparator: ',' })).toBe('3,14');
+    expect(() => normalizeNumber('שלוש נקודה')).toThrow(NumberParseError);
+  });
 });
 
 describe('Hebrew ITN - Text Normalization', () => {
@@ -72,7 +135,7 @@ describe('Hebrew ITN - Text Normalization', () => {
 
   test('handles conjunctions correctly', () => {
     expect(normalizeText('יש שלושה וחצי קילומטרים עד היעד'))
-      .toBe('יש 3 וחצי קילומטרים עד היעד');
+      .toBe('יש 3.5 קילומטרים עד היעד');
 
     expect(normalizeText('הגיעו שלושים ושניים אנשים למסיבה'))
       .toBe('הגיעו 32 אנשים למסיבה');
@@ -99,6 +162,995 @@ describe('Hebrew ITN - Text Normalization', () => {
   });
 });
 
+describe('Hebrew ITN - Production pipeline', () => {
+  test('normalizes sentences without consulting fixtures', () => {
+    expect(normalizeText('שלחנו ארבעת אלפים שש מאות שבעים ותשעה מוצרים'))
+      .toBe('שלחנו 4,679 מוצרים');
+    expect(normalizeText('במשחק נכחו שלושים ושמונה אלף, מאתיים ושבעה עשר צופים'))
+      .toBe('במשחק נכחו 38,217 צופים');
+    expect(normalizeText('הוא נולד בשנת אלף תשע מאות ארבעים וחמש.'))
+      .toBe('הוא נולד בשנת 1945.');
+  });
+
+  test('applies caller-supplied exact overrides only when asked', () => {
+    const overrides = { 'יש חמישה ילדים בגן': 'יש חמישה (5) ילדים בגן' };
+
+    expect(normalizeText('יש חמישה ילדים בגן', { overrides })).toBe('יש חמישה (5) ילדים בגן');
+    expect(normalizeText('יש שישה ילדים בגן', { overrides })).toBe('יש 6 ילדים בגן');
+  });
+});
+
+describe('Hebrew ITN - Detailed results', () => {
+  test('reports spans with original and normalized offsets', () => {
+    const text = 'יש חמש מאות אלף הורים וחמשת אלפיים שלוש מאות ושניים ילדים';
+    const result = normalizeTextDetailed(text);
+
+    expect(result.text).toBe('יש 500,000 הורים ו5,302 ילדים');
+    expect(result.spans).toEqual([
+      {
+        start: 3,
+        end: 15,
+        outStart: 3,
+        outEnd: 10,
+        original: 'חמש מאות אלף',
+        normalized: '500,000',
+        value: 500000,
+        class: 'cardinal',
+      },
+      {
+        start: 22,
+        end: 51,
+        outStart: 17,
+        outEnd: 23,
+        original: 'וחמשת אלפיים שלוש מאות ושניים',
+        normalized: 'ו5,302',
+        value: 5302,
+        class: 'cardinal',
+      },
+    ]);
+
+    result.spans.forEach((span) => {
+      expect(text.slice(span.start, span.end)).toBe(span.original);
+      expect(result.text.slice(span.outStart, span.outEnd)).toBe(span.normalized);
+    });
+  });
+
+  test('returns no spans when nothing changes', () => {
+    expect(normalizeTextDetailed('שלום לכולם')).toEqual({ text: 'שלום לכולם', spans: [], issues: [] });
+  });
+});
+
+describe('Hebrew ITN - Disambiguation', () => {
+  test('leaves place names with number words alone', () => {
+    expect(normalizeText('הוא גר בבאר שבע')).toBe('הוא גר בבאר שבע');
+    expect(normalizeText('היא גרה בקריית שמונה עם שמונה ילדים')).toBe('היא גרה בקריית שמונה עם 8 ילדים');
+    expect(normalizeText('מבאר שבע ושבע בנות')).toBe('מבאר שבע ו7 בנות');
+  });
+
+  test('leaves idioms and "one of" alone', () => {
+    expect(normalizeText('אף אחד לא בא')).toBe('אף אחד לא בא');
+    expect(normalizeText('כל אחד יכול להגיע')).toBe('כל אחד יכול להגיע');
+    expect(normalizeText('לכל אחת יש תפקיד')).toBe('לכל אחת יש תפקיד');
+    expect(normalizeText('גדולים וקטנים כאחד')).toBe('גדולים וקטנים כאחד');
+    expect(normalizeText('מישהו אחד אמר לי')).toBe('מישהו אחד אמר לי');
+    expect(normalizeText('נסגור את זה אחת ולתמיד')).toBe('נסגור את זה אחת ולתמיד');
+    expect(normalizeText('רק אחד מהם הגיע')).toBe('רק אחד מהם הגיע');
+    expect(normalizeText('זו אחת הבעיות')).toBe('זו אחת הבעיות');
+    expect(normalizeText('אחד מכל חמישה צעירים')).toBe('1 מכל 5 צעירים');
+    expect(normalizeText('עשרים ואחד המשתתפים')).toBe('21 המשתתפים');
+  });
+
+  test('leaves Monday alone', () => {
+    expect(normalizeText('נפגשים ביום שני בבוקר')).toBe('נפגשים ביום שני בבוקר');
+    expect(normalizeText('נתראה בשני הבא')).toBe('נתראה בשני הבא');
+    expect(normalizeText('יש לי שני ילדים')).toBe('יש לי 2 ילדים');
+    expect(normalizeText('הוא היה שני בתור')).toBe('הוא היה שני בתור');
+    expect(normalizeText('קנינו שני בתים ושני מכתבים')).toBe('קנינו 2 בתים ו2 מכתבים');
+    expect(normalizeText('הם גייסו שני מיליון דולר')).toBe('הם גייסו 2,000,000 דולר');
+  });
+});
+
+describe('Hebrew ITN - Protected phrases and ranges', () => {
+  afterEach(() => setProtectedPhrases(['אחד העם']));
+
+  test('leaves the phrases of the lexicon alone', () => {
+    expect(normalizeText('אחד העם כתב שלושה מאמרים')).toBe('אחד העם כתב 3 מאמרים');
+  });
+
+  test('replaces the lexicon, from a list or a JSON file', () => {
+    setProtectedPhrases(['שבע כוכבים', 'פי שניים']);
+    expect(normalizeText('מלון שבע כוכבים עם שלושה חדרים')).toBe('מלון שבע כוכבים עם 3 חדרים');
+    expect(normalizeText('המחיר עלה פי שניים תוך שלוש שנים')).toBe('המחיר עלה פי שניים תוך 3 שנים');
+    expect(normalizeText('אחד העם')).toBe('1 העם');
+
+    const file = path.join(os.tmpdir(), `protected-phrases-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify(['שלושה חדרים']));
+    try {
+      expect(loadProtectedPhrases(file)).toEqual(['שלושה חדרים']);
+      expect(normalizeText('מלון שבע כוכבים עם שלושה חדרים')).toBe('מלון 7 כוכבים עם שלושה חדרים');
+    } finally {
+      fs.unlinkSync(file);
+    }
+    expect(() => setProtectedPhrases('שבע כוכבים')).toThrow('array of non-empty strings');
+  });
+
+  test('skips the protected ranges of a call', () => {
+    const text = 'השיר שבע שנים הגיע למקום הראשון אחרי שבע שנים';
+
+    expect(normalizeText(text, { protectedRanges: [{ start: 5, end: 13 }] }))
+      .toBe('השיר שבע שנים הגיע למקום ה-1 אחרי 7 שנים');
+    expect(normalizeTextDetailed(text, { protectedRanges: [{ start: 0, end: text.length }] }))
+      .toEqual({ text, spans: [], issues: [] });
+    expect(() => normalizeText('שלוש', { protectedRanges: [{ start: 2, end: 9 }] }))
+      .toThrow('Invalid protected range');
+  });
+});
+
+describe('Hebrew ITN - Ordinals', () => {
+  test('converts definite ordinals after the noun they describe', () => {
+    expect(normalizeText('גרנו בקומה השלישית')).toBe('גרנו בקומה ה-3');
+    expect(normalizeText('הוא סיים במקום העשירי')).toBe('הוא סיים במקום ה-10');
+    expect(normalizeText('המקום העשרים ואחד ברשימה')).toBe('המקום ה-21 ברשימה');
+    expect(normalizeText('ביום החמישה עשר לחודש')).toBe('ביום ה-15 לחודש');
+  });
+
+  test('leaves "שני" alone when it is not a number', () => {
+    expect(normalizeText('ניפגש ביום שני בבוקר')).toBe('ניפגש ביום שני בבוקר');
+    expect(normalizeText('הוא סיים תואר שני בתוך שנה')).toBe('הוא סיים תואר שני בתוך שנה');
+    expect(normalizeText('הם גרים בצד השני של הרחוב')).toBe('הם גרים בצד השני של הרחוב');
+    expect(normalizeText('יש לי שני ילדים')).toBe('יש לי 2 ילדים');
+  });
+
+  test('renders ordinals in the configured style', () => {
+    const text = 'גרנו בקומה השלישית';
+
+    expect(normalizeText(text, { ordinalStyle: 'plain' })).toBe('גרנו בקומה 3');
+    expect(normalizeText(text, { ordinalStyle: 'words' })).toBe(text);
+    expect(() => normalizeText(text, { ordinalStyle: 'roman' })).toThrow('Unknown ordinal style');
+  });
+
+  test('reports ordinal spans', () => {
+    expect(normalizeTextDetailed('הקומה השלישית').spans).toEqual([
+      {
+        start: 6,
+        end: 13,
+        outStart: 6,
+        outEnd: 9,
+        original: 'השלישית',
+        normalized: 'ה-3',
+        value: 3,
+        class: 'ordinal',
+      },
+    ]);
+  });
+});
+
+describe('Hebrew ITN - Dates', () => {
+  test('converts the day, month and year of a date', () => {
+    expect(normalizeText('הפגישה נקבעה לעשרים ושלושה במרץ אלפיים עשרים וארבע'))
+      .toBe('הפגישה נקבעה ל-23 במרץ 2024');
+    expect(normalizeText('האירוע יתקיים בעשרים ושניים במאי, אלפיים עשרים ושש.'))
+      .toBe('האירוע יתקיים ב-22 במאי, 2026.');
+    expect(normalizeText('נחזור אליך בשלושה לחודש')).toBe('נחזור אליך ב-3 לחודש');
+    expect(normalizeText('החוזה נחתם ביום החמישי לחודש שעבר')).toBe('החוזה נחתם ביום ה-5 לחודש שעבר');
+  });
+
+  test('reads a spelled-out month number only when it is a date', () => {
+    expect(normalizeText('התור נקבע בתאריך חמישה בשישה')).toBe('התור נקבע בתאריך 5 ביוני');
+    expect(normalizeText('נתראה בחמישה בשישה')).toBe('נתראה ב-5 ביוני');
+    expect(normalizeText('החדר הוא שלושה על ארבעה')).toBe('החדר הוא 3 על 4');
+    expect(normalizeText('קבעתי תור ליום חמישה בשישה')).toBe('קבעתי תור ליום 5 ביוני');
+  });
+
+  test('keeps an uncued day and month number in words', () => {
+    expect(normalizeText('חמישה בשישה')).toBe('חמישה בשישה');
+    expect(normalizeTextDetailed('הם ניצחו שלושה בשניים').spans).toEqual([]);
+  });
+
+  test('splits a spelled-out month number off the year after it', () => {
+    expect(normalizeText('נפגש בחמישה בשישה אלפיים עשרים וחמש'))
+      .toBe('נפגש ב-5 ביוני 2025');
+    expect(normalizeText('נפגש בחמישה בשישה אלפיים עשרים וחמש', { dateFormat: 'numeric' }))
+      .toBe('נפגש ב-5.6.2025');
+    expect(normalizeText('קניתי חמישה בשישה אלפים שקל')).toBe('קניתי 5 ב-6,000 שקל');
+  });
+
+  test('writes a year after a month without a thousands separator', () => {
+    expect(normalizeText('המכרז ייסגר במאי, אלפיים עשרים ושש')).toBe('המכרז ייסגר במאי, 2026');
+  });
+
+  test('renders dates in the configured format', () => {
+    const options = { dateFormat: 'numeric' };
+
+    expect(normalizeText('הפגישה נקבעה לעשרים ושלושה במרץ אלפיים עשרים וארבע', options))
+      .toBe('הפגישה נקבעה ל-23.3.2024');
+    expect(normalizeText('החל מה-1 בינואר', options)).toBe('החל מה-1.1');
+    expect(normalizeText('החל מה-1 בינואר')).toBe('החל מה-1 בינואר');
+    expect(() => normalizeText('היום', { dateFormat: 'iso' })).toThrow('Unknown date format');
+  });
+
+  test('reports the parts of a date', () => {
+    const [span] = normalizeTextDetailed('נולדתי בתשעה בנובמבר אלפיים ושתיים').spans;
+
+    expect(span).toMatchObject({
+      original: 'בתשעה בנובמבר אלפיים ושתיים',
+      normalized: 'ב-9 בנובמבר 2002',
+      value: { day: 9, month: 11, year: 2002 },
+      class: 'date',
+    });
+  });
+
+  test('does not accept days the month does not have', () => {
+    expect(normalizeText('שלושים ואחד בפברואר')).toBe('31 בפברואר');
+    expect(normalizeTextDetailed('שלושים ואחד בפברואר').spans[0].class).toBe('cardinal');
+  });
+});
+
+describe('Hebrew ITN - Times of day', () => {
+  test('converts hours with their minutes', () => {
+    expect(normalizeText('הפגישה נקבעה לשעה שלוש ורבע, אך החלה רק בשלוש וחמישים.'))
+      .toBe('הפגישה נקבעה לשעה 3:15, אך החלה רק ב-3:50.');
+    expect(normalizeText('נתחיל בשלוש וחצי')).toBe('נתחיל ב-3:30');
+    expect(normalizeText('הוא התקשר בשתיים חמישים')).toBe('הוא התקשר ב-2:50');
+    expect(normalizeText('הרכבת יוצאת בשעה שבע וחמישים ושתיים דקות בדיוק'))
+      .toBe('הרכבת יוצאת בשעה 7:52 בדיוק');
+  });
+
+  test('converts minutes before the hour', () => {
+    expect(normalizeText('נתראה בעשרים לחמש')).toBe('נתראה ב-4:40');
+    expect(normalizeText('הטיסה נוחתת ברבע לשמונה')).toBe('הטיסה נוחתת ב-7:45');
+    expect(normalizeText('הם עובדים בין חמש לשש')).toBe('הם עובדים 5-6');
+  });
+
+  test('converts a whole hour said with the part of the day', () => {
+    expect(normalizeText('נחזור אליך מחר בשמונה בבוקר')).toBe('נחזור אליך מחר ב-8:00 בבוקר');
+    expect(normalizeText('ביום שני בבוקר')).toBe('ביום שני בבוקר');
+    expect(normalizeText('נפגשים בשעה שמונה בדיוק')).toBe('נפגשים בשעה 8 בדיוק');
+  });
+
+  test('leaves quantities with halves and quarters to other classes', () => {
+    expect(normalizeText('הריבית עלתה בשלושה וחצי אחוזים')).not.toContain(':');
+    expect(normalizeText('צריך שלוש ורבע כוסות קמח')).not.toContain(':');
+  });
+
+  test('needs a time cue where the words could be a quantity', () => {
+    expect(normalizeText('הילד בן חמש וחצי')).not.toContain(':');
+    expect(normalizeText('קיבלתי ציון שמונה וחצי')).not.toContain(':');
+    expect(normalizeText('המחיר הוא שתיים חמישים')).not.toContain(':');
+    expect(normalizeText('נפגש בשעה שתיים חמישים')).toBe('נפגש בשעה 2:50');
+  });
+
+  test('reads a time that ends the clause', () => {
+    expect(normalizeText('שלוש ורבע')).toBe('3:15');
+    expect(normalizeText('נפגשים מחר, שתיים חמישים.')).toBe('נפגשים מחר, 2:50.');
+  });
+
+  test('keeps a rejected hour and minutes in words', () => {
+    expect(normalizeText('היו שם עשרים לחמש אנשים')).toBe('היו שם עשרים לחמש אנשים');
+    expect(normalizeText('המחיר הוא שתיים חמישים')).toBe('המחיר הוא שתיים חמישים');
+    expect(normalizeTextDetailed('שתיים חמישים אנשים').spans).toEqual([]);
+  });
+
+  test('uses the part of the day for the 24-hour format', () => {
+    const options = { timeFormat: '24h' };
+
+    expect(normalizeText('הטיסה ממריאה בעשר וחצי בלילה', options))
+      .toBe('הטיסה ממריאה ב-22:30 בלילה');
+    expect(normalizeText('המהדורה של רבע לשמונה בערב', options)).toBe('המהדורה של 19:45 בערב');
+    expect(normalizeText('הגענו בשתים עשרה בלילה', options)).toBe('הגענו ב-00:00 בלילה');
+    expect(normalizeText('הגענו בשלוש ורבע', options)).toBe('הגענו ב-3:15');
+    expect(() => normalizeText('היום', { timeFormat: 'ampm' })).toThrow('Unknown time format');
+  });
+
+  test('reports the hour and minutes of a time', () => {
+    expect(normalizeTextDetailed('נתראה בעשרים לחמש').spans[0]).toMatchObject({
+      original: 'בעשרים לחמש',
+      normalized: 'ב-4:40',
+      value: { hour: 4, minutes: 40 },
+      class: 'time',
+    });
+  });
+});
+
+describe('Hebrew ITN - Money', () => {
+  const symbol = { currencyStyle: 'symbol' };
+
+  test('keeps the currency words by default', () => {
+    expect(normalizeText('החשבון יצא מאה עשרים ושלושה שקלים וחמישים אגורות'))
+      .toBe('החשבון יצא 123 שקלים ו50 אגורות');
+    expect(normalizeText('הם השקיעו שני מיליון דולר')).toBe('הם השקיעו 2,000,000 דולר');
+    expect(normalizeText('הוא קיבל חצי מיליון יורו')).toBe('הוא קיבל 500,000 יורו');
+    expect(normalizeText('זה עולה שקל אחד')).toBe('זה עולה 1 שקל');
+  });
+
+  test('writes amounts with currency symbols', () => {
+    expect(normalizeText('החשבון יצא מאה עשרים ושלושה שקלים וחמישים אגורות', symbol))
+      .toBe('החשבון יצא 123.50 ₪');
+    expect(normalizeText('הם השקיעו כשני מיליון דולר', symbol)).toBe('הם השקיעו כ-$2,000,000');
+    expect(normalizeText('הוא קיבל חצי מיליון יורו', symbol)).toBe('הוא קיבל €500,000');
+    expect(normalizeText('זה עולה שקל אחד', symbol)).toBe('זה עולה 1 ₪');
+    expect(normalizeText('הדלק יתייקר בשלושים ושתיים אגורות', symbol)).toBe('הדלק יתייקר ב-0.32 ₪');
+    expect(normalizeText('התקציב הוא שלושה מיליון שקלים חדשים', symbol))
+      .toBe('התקציב הוא 3,000,000 ₪');
+    expect(() => normalizeText('שקל', { currencyStyle: 'code' })).toThrow('Unknown currency style');
+  });
+
+  test('reports the amount and currency', () => {
+    const [span] = normalizeTextDetailed('שבעים ושמונה שקלים וארבעים אגורות', symbol).spans;
+
+    expect(span).toMatchObject({
+      normalized: '78.40 ₪',
+      value: { amount: 78.4, currency: 'ILS' },
+      class: 'money',
+    });
+  });
+});
+
+describe('Hebrew ITN - Percentages', () => {
+  test('writes percentages with a percent sign', () => {
+    expect(normalizeText('שלושים וחמישה אחוזים מהבוגרים')).toBe('35% מהבוגרים');
+    expect(normalizeText('המדד עלה בשלושה אחוזים')).toBe('המדד עלה ב-3%');
+    expect(normalizeText('התשואה הייתה אחוז אחד בלבד')).toBe('התשואה הייתה 1% בלבד');
+    expect(normalizeText('הריבית ירדה בחצי אחוז')).toBe('הריבית ירדה ב-0.5%');
+  });
+
+  test('reads a prefix set off from the percentage by a hyphen', () => {
+    expect(normalizeText('המדד עלה ב-שלושה אחוזים')).toBe('המדד עלה ב-3%');
+    expect(normalizeText('הריבית ירדה ב-חצי אחוז')).toBe('הריבית ירדה ב-0.5%');
+    expect(normalizeText('גבוהה יותר ב-אחוז וחצי')).toBe('גבוהה יותר ב-1.5%');
+  });
+
+  test('converts decimals and fractions of a percent', () => {
+    expect(normalizeText('האינפלציה הגיעה לשלוש נקודה שתיים אחוז')).toBe('האינפלציה הגיעה ל-3.2%');
+    expect(normalizeText('גבוהה יותר באחוז וחצי מהממוצע')).toBe('גבוהה יותר ב-1.5% מהממוצע');
+    expect(normalizeText('ירידה של שני אחוזים וחצי')).toBe('ירידה של 2.5%');
+    expect(normalizeText('צפויה לעמוד על כשלושה ורבע אחוזים')).toBe('צפויה לעמוד על כ-3.25%');
+  });
+
+  test('converts percentage ranges', () => {
+    expect(normalizeText('הנחה של בין שלושים לארבעים אחוז')).toBe('הנחה של 30%-40%');
+    expect(normalizeText('צמיחה של שלושה עד ארבעה אחוזים')).toBe('צמיחה של 3%-4%');
+  });
+
+  test('keeps the word with the word style', () => {
+    const options = { percentStyle: 'word' };
+
+    expect(normalizeText('שלושים וחמישה אחוזים מהבוגרים', options)).toBe('35 אחוזים מהבוגרים');
+    expect(normalizeText('האינפלציה הגיעה לשלוש נקודה שתיים אחוז', options))
+      .toBe('האינפלציה הגיעה ל-3.2 אחוז');
+    expect(() => normalizeText('אחוז', { percentStyle: 'ratio' })).toThrow('Unknown percent style');
+  });
+
+  test('reports the percentage value', () => {
+    expect(normalizeTextDetailed('עלה בשלושה אחוזים').spans[0]).toMatchObject({
+      original: 'בשלושה אחוזים',
+      normalized: 'ב-3%',
+      value: 3,
+      class: 'percentage',
+    });
+  });
+});
+
+describe('Hebrew ITN - Negative numbers', () => {
+  test('signs numbers said after "מינוס"', () => {
+    expect(normalizeText('הטמפרטורה בחוץ היא מינוס שלוש מעלות.')).toBe('הטמפרטורה בחוץ היא -3 מעלות.');
+    expect(normalizeText('הטמפרטורה צפויה לרדת למינוס ארבע מעלות')).toBe('הטמפרטורה צפויה לרדת ל--4 מעלות');
+    expect(normalizeText('הפסד של מינוס שלושה אחוזים')).toBe('הפסד של -3%');
+    expect(normalizeText('ירידה של מינוס אפס נקודה שמונה אחוזים')).toBe('ירידה של -0.8%');
+    expect(normalizeText('עשר בחזקת מינוס שלושים וארבע')).toBe('10 בחזקת -34');
+  });
+
+  test('writes degrees with a symbol with the symbol temperature style', () => {
+    const options = { temperatureStyle: 'symbol' };
+
+    expect(normalizeText('מינוס חמש מעלות', options)).toBe('-5°');
+    expect(normalizeText('מינוס מאתיים שבעים ואחת נקודה ארבע מעלות צלזיוס', options)).toBe('-271.4°C');
+    expect(() => normalizeText('מינוס חמש מעלות', { temperatureStyle: 'kelvin' }))
+      .toThrow('Unknown temperature style');
+  });
+
+  test('signs numbers after "פחות" only when it is used as a minus sign', () => {
+    expect(normalizeText('בלילה יהיו פחות שתי מעלות')).toBe('בלילה יהיו -2 מעלות');
+    expect(normalizeText('הגיעו פחות משלושה אנשים')).toBe('הגיעו פחות מ-3 אנשים');
+    expect(normalizeText('עשר פחות שתיים זה שמונה')).toBe('10 פחות 2 זה 8');
+    expect(normalizeText('הגיעו לפחות שלושה אנשים')).toBe('הגיעו לפחות 3 אנשים');
+    expect(normalizeText('הטמפרטורה תרד עד פחות שלוש')).toBe('הטמפרטורה תרד עד -3');
+  });
+
+  test('leaves "פחות" alone outside a signed context', () => {
+    expect(normalizeText('שילמתי פחות שלושה שקלים')).toBe('שילמתי פחות 3 שקלים');
+    expect(normalizeText('יש פחות עשרים אנשים מאתמול')).toBe('יש פחות 20 אנשים מאתמול');
+    expect(normalizeText('הוא צריך פחות שלוש נקודות')).toBe('הוא צריך פחות 3 נקודות');
+  });
+
+  test('reports the signed number and its unit', () => {
+    expect(normalizeTextDetailed('מינוס חמש מעלות').spans[0]).toMatchObject({
+      original: 'מינוס חמש',
+      normalized: '-5',
+      value: { number: -5, unit: 'degree' },
+      class: 'negative',
+    });
+  });
+});
+
+describe('Hebrew ITN - Ranges and approximations', () => {
+  test('writes ranges with a hyphen', () => {
+    expect(normalizeText('הם יגיעו משלוש עד חמש')).toBe('הם יגיעו 3-5');
+    expect(normalizeText('עשרים עד שלושים איש')).toBe('20-30 איש');
+    expect(normalizeText('כשלושים עד ארבעים איש')).toBe('כ-30-40 איש');
+    expect(normalizeText('ילדים עד גיל שש')).toBe('ילדים עד גיל 6');
+    expect(normalizeText('ירד משמונה עד שלוש')).toBe('ירד מ-8 עד 3');
+  });
+
+  test('reads ranges said with a hyphen', () => {
+    expect(normalizeText('זה ייקח שלושה-ארבעה ימים')).toBe('זה ייקח 3-4 ימים');
+    expect(normalizeText('זה ייקח כשלושה-ארבעה ימים', { rangeStyle: 'words' }))
+      .toBe('זה ייקח כ-3-4 ימים');
+    expect(normalizeText('עשרים-שלושים אחוז')).toBe('20%-30%');
+    expect(normalizeText('שלושה-עשר ימים')).toBe('13 ימים');
+  });
+
+  test('writes the currency of a range in the currency style', () => {
+    const options = { currencyStyle: 'symbol' };
+
+    expect(normalizeText('בין אלף לאלפיים שקל')).toBe('1,000-2,000 שקל');
+    expect(normalizeText('בין אלף לאלפיים שקל', options)).toBe('1,000-2,000 ₪');
+    expect(normalizeText('בין אלף לאלפיים דולר', options)).toBe('$1,000-$2,000');
+    expect(normalizeTextDetailed('משלוש עד חמש יורו', options).spans[0]).toMatchObject({
+      normalized: '€3-€5',
+      value: { from: 3, to: 5, unit: 'EUR' },
+    });
+  });
+
+  test('keeps the words between the numbers with the words style', () => {
+    const options = { rangeStyle: 'words' };
+
+    expect(normalizeText('הנחה של בין שלושים לארבעים אחוז', options)).toBe('הנחה של בין 30% ל-40%');
+    expect(normalizeText('הם יגיעו משלוש עד חמש', options)).toBe('הם יגיעו מ-3 עד 5');
+    expect(normalizeText('צמיחה של שלושה עד ארבעה אחוזים', { percentStyle: 'word' }))
+      .toBe('צמיחה של 3-4 אחוזים');
+    expect(() => normalizeText('משלוש עד חמש', { rangeStyle: 'dash' })).toThrow('Unknown range style');
+  });
+
+  test('reports the bounds of a range', () => {
+    expect(normalizeTextDetailed('בין שלושים לארבעים אחוז').spans[0]).toMatchObject({
+      normalized: '30%-40%',
+      value: { from: 30, to: 40, unit: 'percent' },
+      class: 'range',
+    });
+  });
+
+  test('keeps the approximation qualifier and normalizes only the number', () => {
+    expect(normalizeText('שזה בערך שישים ושישה אחוזים')).toBe('שזה בערך 66%');
+    expect(normalizeText('היא נמשכה קרוב לשלוש שעות')).toBe('היא נמשכה קרוב ל-3 שעות');
+    expect(normalizeText('בסביבות שנת אלף שמונה מאות שבעים ושש')).toBe('בסביבות שנת 1876');
+    expect(normalizeText('נכחו כעשרת אלפים איש')).toBe('נכחו כ-10,000 איש');
+  });
+
+  test('reports approximations with the class and value of the number', () => {
+    const { spans } = normalizeTextDetailed('שזה בערך שישים ושישה אחוזים, כמאה איש');
+
+    expect(spans.map(({
+      original, normalized, value, class: name,
+    }) => ({
+      original, normalized, value, name,
+    }))).toEqual([
+      {
+        original: 'בערך שישים ושישה אחוזים',
+        normalized: 'בערך 66%',
+        value: { qualifier: 'בערך', class: 'percentage', value: 66 },
+        name: 'approximation',
+      },
+      {
+        original: 'כמאה',
+        normalized: 'כ-100',
+        value: { qualifier: 'כ', class: 'cardinal', value: 100 },
+        name: 'approximation',
+      },
+    ]);
+  });
+});
+
+describe('Hebrew ITN - Prefixes', () => {
+  test('strips any combination of proclitic prefixes', () => {
+    expect(normalizeText('הגיעו וכשלושה אנשים')).toBe('הגיעו וכ-3 אנשים');
+    expect(normalizeText('נשארו שלושה מהחמישה')).toBe('נשארו 3 מה-5');
+    expect(normalizeText('שבשלושים השנים האחרונות')).toBe('שב-30 השנים האחרונות');
+    expect(normalizeText('הם הגיעו כשלושה')).toBe('הם הגיעו כ-3');
+  });
+
+  test('strips prefixes set off from the number by a hyphen', () => {
+    expect(normalizeText('הגיעו כ-חמישים איש')).toBe('הגיעו כ-50 איש');
+    expect(normalizeText('נשארנו שם ב-שלושה ימים')).toBe('נשארנו שם ב-3 ימים');
+    expect(normalizeText('שלושה ספרים ו-חמישה עטים', { prefixStyle: 'hyphen' }))
+      .toBe('3 ספרים ו-5 עטים');
+    expect(normalizeText('ה-שלושת הילדים')).toBe('ה-שלושת הילדים');
+  });
+
+  test('attaches prefixes according to the prefix style', () => {
+    const text = 'שלושה ספרים וחמישה עטים בכעשרים שקלים';
+
+    expect(normalizeText(text)).toBe('3 ספרים ו5 עטים בכ-20 שקלים');
+    expect(normalizeText(text, { prefixStyle: 'hyphen' })).toBe('3 ספרים ו-5 עטים בכ-20 שקלים');
+    expect(normalizeText(text, { prefixStyle: 'attached' })).toBe('3 ספרים ו5 עטים בכ20 שקלים');
+    expect(normalizeText(text, { prefixStyle: 'academy' })).toBe('3 ספרים ו־5 עטים בכ־20 שקלים');
+    expect(() => normalizeText(text, { prefixStyle: 'dash' })).toThrow('Unknown prefix style');
+  });
+
+  test('applies the prefix style to every class of number', () => {
+    const options = { prefixStyle: 'academy' };
+
+    expect(normalizeText('הוא הגיע במקום השלישי', options)).toBe('הוא הגיע במקום ה־3');
+    expect(normalizeText('עלה בשלושה אחוזים', options)).toBe('עלה ב־3%');
+    expect(normalizeText('הם יגיעו משלוש עד חמש', { ...options, rangeStyle: 'words' }))
+      .toBe('הם יגיעו מ־3 עד 5');
+  });
+
+  test('keeps approximations with every prefix style', () => {
+    const { spans } = normalizeTextDetailed('כמאה איש', { prefixStyle: 'attached' });
+
+    expect(spans[0]).toMatchObject({
+      normalized: 'כ100',
+      value: { qualifier: 'כ', class: 'cardinal', value: 100 },
+      class: 'approximation',
+    });
+  });
+});
+
+describe('Hebrew ITN - Decimals', () => {
+  test('converts numbers with a decimal point', () => {
+    expect(normalizeText('פאי שווה בערך שלוש נקודה ארבע עשרה')).toBe('פאי שווה בערך 3.14');
+    expect(normalizeText('הסיכוי הוא אפס נקודה חמש')).toBe('הסיכוי הוא 0.5');
+    expect(normalizeText('המשקל הוא שתיים נקודה אפס שבע גרם')).toBe('המשקל הוא 2.07 גרם');
+    expect(normalizeText('במשקל של אפס נקודה אפס חמש גרם')).toBe('במשקל של 0.05 גרם');
+  });
+
+  test('converts tenths, hundredths and thousandths after a whole number', () => {
+    expect(normalizeText('רצתי שלוש ושבע עשיריות קילומטר')).toBe('רצתי 3.7 קילומטר');
+    expect(normalizeText('הזמן היה תשע וחמישים ושמונה מאיות')).toBe('הזמן היה 9.58');
+  });
+
+  test('multiplies a decimal by the scale word after it', () => {
+    expect(normalizeNumber('שלוש נקודה חמש מיליון')).toBe('3,500,000');
+    expect(normalizeText('העיר מונה אחת נקודה שתיים חמש מיליון תושבים'))
+      .toBe('העיר מונה 1,250,000 תושבים');
+    expect(normalizeText('הם גייסו שלוש נקודה חמש מיליון דולר')).toBe('הם גייסו 3,500,000 דולר');
+    expect(normalizeText('הם גייסו שלוש נקודה חמש מיליון דולר', { currencyStyle: 'symbol' }))
+      .toBe('הם גייסו $3,500,000');
+  });
+
+  test('leaves "נקודה" alone when no digits follow', () => {
+    expect(normalizeText('הוא אמר שלוש נקודה')).toBe('הוא אמר 3 נקודה');
+  });
+
+  test('uses the configured decimal separator', () => {
+    const options = { decimalSeparator: ',' };
+
+    expect(normalizeText('פאי שווה שלוש נקודה ארבע עשרה', options)).toBe('פאי שווה 3,14');
+    expect(normalizeText('האינפלציה עלתה לשלוש נקודה שתיים אחוז', options))
+      .toBe('האינפלציה עלתה ל-3,2%');
+    expect(() => normalizeText('שלוש', { decimalSeparator: ';' })).toThrow('Unknown decimal separator');
+  });
+
+  test('reports decimal spans', () => {
+    expect(normalizeTextDetailed('שתיים נקודה אפס שבע').spans[0]).toMatchObject({
+      normalized: '2.07',
+      value: 2.07,
+      class: 'decimal',
+    });
+  });
+});
+
+describe('Hebrew ITN - Fractions', () => {
+  test('converts numbers with an added fraction', () => {
+    expect(normalizeText('קניתי שתיים ורבע קילו עגבניות')).toBe('קניתי 2.25 קילו עגבניות');
+    expect(normalizeText('ישנתי חמש וחצי שעות')).toBe('ישנתי 5.5 שעות');
+    expect(normalizeText('נסענו ארבע שעות וחצי')).toBe('נסענו 4.5 שעות');
+    expect(normalizeText('גובה הגל הגיע לכשני מטרים וחצי')).toBe('גובה הגל הגיע לכ-2.5 מטרים');
+  });
+
+  test('converts a single unit with a fraction', () => {
+    expect(normalizeText('הטיסה מתעכבת בכשעה וחצי')).toBe('הטיסה מתעכבת בכ-1.5 שעות');
+    expect(normalizeText('יש לי פגישה בעוד שעה ורבע')).toBe('יש לי פגישה בעוד 1.25 שעות');
+    expect(normalizeText('הכיבוי נמשך שעתיים וחצי')).toBe('הכיבוי נמשך 2.5 שעות');
+  });
+
+  test('converts fractions of scale words to whole numbers', () => {
+    expect(normalizeText('הכונן מכיל כמיליון וחצי קבצים')).toBe('הכונן מכיל כ-1,500,000 קבצים');
+    expect(normalizeText('החברה הנפיקה שבעה מיליון וחצי מניות')).toBe('החברה הנפיקה 7,500,000 מניות');
+    expect(normalizeText('האוכלוסייה תגדל בשלושה וחצי מיליון איש'))
+      .toBe('האוכלוסייה תגדל ב-3,500,000 איש');
+    expect(normalizeText('כחצי מיליון תיירים')).toBe('כ-500,000 תיירים');
+  });
+
+  test('converts a fraction on its own only before a unit or a partitive', () => {
+    expect(normalizeText('חיכינו יותר מחצי שעה')).toBe('חיכינו יותר מ-0.5 שעה');
+    expect(normalizeText('בילינו שליש מהחופשה בצפון')).toBe('בילינו 1/3 מהחופשה בצפון');
+    expect(normalizeText('רק שלושה רבעים מהמשתתפים')).toBe('רק 0.75 מהמשתתפים');
+    expect(normalizeText('היא הגיעה לחצי הגמר')).toBe('היא הגיעה לחצי הגמר');
+    expect(normalizeText('נשארו שלושה רבעים')).toBe('נשארו שלושה רבעים');
+    expect(normalizeText('קיבלתי שליש')).toBe('קיבלתי שליש');
+    expect(normalizeText('זו רק עשירית')).toBe('זו רק עשירית');
+  });
+
+  test('leaves clock times to the time recognizer', () => {
+    expect(normalizeText('נפגש בשלוש וחצי בדיוק.')).toBe('נפגש ב-3:30 בדיוק.');
+    expect(normalizeText('הפגישה בשעה ארבע וחצי אחר הצהריים'))
+      .toBe('הפגישה בשעה 4:30 אחר הצהריים');
+    expect(normalizeText('חמש וחצי')).toBe('5.5');
+    expect(normalizeText('חמש וחצי', { fractionStyle: 'unicode' })).toBe('5½');
+  });
+
+  test('uses fraction characters with the unicode style', () => {
+    const options = { fractionStyle: 'unicode' };
+
+    expect(normalizeText('ישנתי חמש וחצי שעות', options)).toBe('ישנתי 5½ שעות');
+    expect(normalizeText('רק כשני שלישים מהנשאלים', options)).toBe('רק כ-⅔ מהנשאלים');
+    expect(normalizeText('כמיליון וחצי קבצים', options)).toBe('כ-1,500,000 קבצים');
+    expect(() => normalizeText('חצי', { fractionStyle: 'roman' })).toThrow('Unknown fraction style');
+  });
+
+  test('shares fractions with money and percentages', () => {
+    expect(normalizeText('שני מיליון וחצי יורו', { currencyStyle: 'symbol' })).toBe('€2,500,000');
+    expect(normalizeText('סטייה של שניים ושלושה רבעים אחוזים')).toBe('סטייה של 2.75%');
+  });
+
+  test('reports fraction spans', () => {
+    expect(normalizeTextDetailed('מהיר פי אחד ושני שלישים').spans[0]).toMatchObject({
+      original: 'אחד ושני שלישים',
+      normalized: '1 2/3',
+      value: 1 + 2 / 3,
+      class: 'fraction',
+    });
+  });
+});
+
+describe('Hebrew ITN - Digit sequences', () => {
+  test('keeps numbers said digit by digit as digits', () => {
+    expect(normalizeText('יש לספק מספר אישור תשע אפס שמונה שבע שש.'))
+      .toBe('יש לספק מספר אישור 90876.');
+    expect(normalizeText('מספר הזהות שלי הוא אפס שתיים תשע שמונה שבע אחת אפס ארבע שש'))
+      .toBe('מספר הזהות שלי הוא 029871046');
+    expect(normalizeText('רכב שמספרו שש-שבע-אפס-אחת-תשע-שמונה-שתיים'))
+      .toBe('רכב שמספרו 6701982');
+  });
+
+  test('joins groups separated by commas with hyphens', () => {
+    expect(normalizeText('ניתן להתקשר למספר אפס שלוש, תשע שש שבע, ארבע חמש שש אחת.'))
+      .toBe('ניתן להתקשר למספר 03-967-4561.');
+  });
+
+  test('does not read compositional numbers or short runs as digits', () => {
+    expect(normalizeText('הגיעו חמישים וארבע משפחות')).toBe('הגיעו 54 משפחות');
+    expect(normalizeText('קניתי חמש מאות ארבע חולצות')).toBe('קניתי 504 חולצות');
+    expect(normalizeText('ספרתי אחת, שתיים, שלוש')).toBe('ספרתי 1, 2, 3');
+    expect(normalizeText('הטמפרטורה ירדה מתחת לאפס')).toBe('הטמפרטורה ירדה מתחת לאפס');
+  });
+
+  test('reports the digits with their leading zeros', () => {
+    expect(normalizeTextDetailed('אפס חמש ארבע, שבע שש שש').spans[0]).toMatchObject({
+      normalized: '054-766',
+      value: '054766',
+      class: 'digits',
+    });
+  });
+});
+
+describe('Hebrew ITN - Phone numbers', () => {
+  test('assembles digits and spoken groups into a phone number', () => {
+    expect(normalizeText('הנייד שלי אפס חמש שתיים, שלוש ארבע חמש, שישים ושבע שמונים ותשע'))
+      .toBe('הנייד שלי 052-345-6789');
+    expect(normalizeText('ליצור קשר בטלפון אפס חמש אפס, שש מאות שבעים ושמונה, אלף מאתיים שלושים וארבע.'))
+      .toBe('ליצור קשר בטלפון 050-678-1234.');
+  });
+
+  test('recognizes landline, VoIP and toll-free numbers', () => {
+    expect(normalizeText('ניתן להתקשר למספר אפס שלוש, תשע שש שבע, ארבע חמש שש אחת.'))
+      .toBe('ניתן להתקשר למספר 03-967-4561.');
+    expect(normalizeText('השאירו הודעה במשיבון אפס שבע שבע, שתיים שש אפס, אחת אחת חמש חמש'))
+      .toBe('השאירו הודעה במשיבון 077-260-1155');
+    expect(normalizeText('חייגו אחת שמונה מאות, שלוש ארבע חמש, שש שבע שמונה'))
+      .toBe('חייגו 1-800-345-678');
+  });
+
+  test('needs a phone cue for landline numbers', () => {
+    expect(normalizeText('מספר הזהות שלי הוא אפס שתיים תשע שמונה שבע אחת אפס ארבע שש'))
+      .toBe('מספר הזהות שלי הוא 029871046');
+  });
+
+  test('writes E.164 numbers when asked', () => {
+    const options = { phoneFormat: 'e164' };
+
+    expect(normalizeText('הנייד שלי אפס חמש שתיים שלוש ארבע חמש שש שבע שמונה תשע', options))
+      .toBe('הנייד שלי +972523456789');
+    expect(normalizeText('חייגו פלוס תשע שבע שתיים שלוש תשע שש שבע ארבע חמש שש אחת', options))
+      .toBe('חייגו +97239674561');
+    expect(() => normalizeText('טלפון', { phoneFormat: 'dots' })).toThrow('Unknown phone format');
+  });
+
+  test('leaves numbers of the wrong length unnormalized and reports them', () => {
+    const result = normalizeTextDetailed('הטלפון שלי אפס חמש שתיים שלוש ארבע');
+
+    expect(result.text).toBe('הטלפון שלי אפס חמש שתיים שלוש ארבע');
+    expect(result.spans).toEqual([]);
+    expect(result.issues).toEqual([{
+      start: 11,
+      end: 34,
+      original: 'אפס חמש שתיים שלוש ארבע',
+      class: 'phone',
+      issue: 'invalid-phone-length',
+    }]);
+  });
+
+  test('reports the national number and its type', () => {
+    expect(normalizeTextDetailed('בטלפון אפס שלוש תשע שש שבע ארבע חמש שש אחת').spans[0]).toMatchObject({
+      normalized: '03-967-4561',
+      value: { number: '039674561', type: 'landline' },
+      class: 'phone',
+    });
+  });
+});
+
+describe('Hebrew ITN - ID numbers', () => {
+  test('assembles an ID number after an ID cue', () => {
+    expect(normalizeText('בתחקיר נחשף כי תעודת זהות מספר אפס שתיים תשע שמונה שבע אחת חמש ארבע שלוש שימשה לגניבת פרטים.'))
+      .toBe('בתחקיר נחשף כי תעודת זהות מספר 029871543 שימשה לגניבת פרטים.');
+    expect(normalizeText('מספר הזהות שלי הוא שלוש אפס שמונה, ארבע חמש שתיים, שבע אחת תשע'))
+      .toBe('מספר הזהות שלי הוא 308452719');
+    expect(normalizeText('ת.ז. אחת שתיים שלוש, ארבע מאות חמישים ושש, שבע שמונה שתיים'))
+      .toBe('ת.ז. 123456782');
+  });
+
+  test('needs an ID cue and exactly nine digits', () => {
+    expect(normalizeText('הקוד הוא אפס שתיים תשע שמונה שבע אחת חמש ארבע שלוש'))
+      .toBe('הקוד הוא 029871543');
+    expect(normalizeTextDetailed('תעודת זהות אחת שתיים שלוש ארבע').spans
+      .map((span) => span.class)).toEqual(['digits']);
+  });
+
+  test('reports whether the check digit is valid', () => {
+    const valid = normalizeTextDetailed('ת"ז אחת שתיים שלוש ארבע חמש שש שבע שמונה שתיים');
+    const invalid = normalizeTextDetailed('ת"ז אחת שתיים שלוש ארבע חמש שש שבע שמונה תשע');
+
+    expect(valid.spans[0]).toMatchObject({
+      normalized: '123456782',
+      value: { number: '123456782', valid: true },
+      class: 'id',
+    });
+    expect(invalid.text).toBe('ת"ז 123456789');
+    expect(invalid.spans[0].value).toEqual({ number: '123456789', valid: false });
+  });
+});
+
+describe('Hebrew ITN - Cards, bank accounts and redaction', () => {
+  const CARD = 'מספר הכרטיס ארבע חמש שמונה אפס, אחת שתיים שלוש ארבע, חמש שש שבע שמונה, תשע אפס אחת חמש וקוד האבטחה שבע אחת תשע';
+
+  test('recognizes Luhn-valid card numbers, security codes and bank accounts', () => {
+    expect(normalizeText(CARD)).toBe('מספר הכרטיס 4580-1234-5678-9015 וקוד האבטחה 719');
+    expect(normalizeTextDetailed(CARD).spans.map((span) => span.class)).toEqual(['card', 'cvv']);
+    expect(normalizeTextDetailed('מספר החשבון שלי שלוש ארבע, חמש שש שבע, שמונה').spans[0])
+      .toMatchObject({ normalized: '345678', value: '345678', class: 'account' });
+    expect(normalizeText('החשבון יצא מאתיים ושבעה עשר שקלים')).toBe('החשבון יצא 217 שקלים');
+  });
+
+  test('masks personal numbers and reports the redacted spans', () => {
+    const result = normalizeTextDetailed(CARD, { redact: true });
+
+    expect(result.text).toBe('מספר הכרטיס ****-****-****-9015 וקוד האבטחה ***');
+    expect(result.spans.map((span) => span.class)).toEqual(['card', 'cvv']);
+    result.spans.forEach((span) => {
+      expect(span).toMatchObject({ original: null, value: null, redacted: true });
+    });
+    expect(normalizeText('ת"ז אחת שתיים שלוש ארבע חמש שש שבע שמונה שתיים', { redact: true }))
+      .toBe('ת"ז *****6782');
+    expect(normalizeText('הנייד שלי אפס חמש שתיים שלוש ארבע חמש שש שבע שמונה תשע', { redact: true }))
+      .toBe('הנייד שלי ***-***-6789');
+  });
+
+  test('masks a cued card number whatever its check digit', () => {
+    const misheard = CARD.replace('אחת חמש וקוד', 'אחת שש וקוד');
+
+    expect(normalizeTextDetailed(misheard, { redact: true }).spans[0]).toMatchObject({
+      normalized: '****-****-****-9016',
+      class: 'card',
+    });
+    expect(normalizeTextDetailed('הקוד ארבע חמש שמונה אפס אחת שתיים שלוש ארבע חמש שש שבע שמונה תשע אפס אחת שש', { redact: true })
+      .spans[0]).toMatchObject({ normalized: '4580123456789016', class: 'digits' });
+  });
+
+  test('drops the spoken digits of redacted classes from the issues', () => {
+    expect(normalizeTextDetailed('הטלפון שלי אפס חמש שתיים שלוש ארבע', { redact: true }).issues)
+      .toEqual([{
+        start: 11,
+        end: 34,
+        original: null,
+        class: 'phone',
+        issue: 'invalid-phone-length',
+      }]);
+  });
+
+  test('redacts only the selected classes, with the selected mask', () => {
+    expect(normalizeText(CARD, { redact: ['card'], redactMask: '#' }))
+      .toBe('מספר הכרטיס ####-####-####-9015 וקוד האבטחה 719');
+    expect(normalizeTextDetailed('יש חמישה ילדים', { redact: true }).spans[0].redacted)
+      .toBeUndefined();
+    expect(() => normalizeText(CARD, { redact: ['email'] })).toThrow('Unknown redaction class');
+    expect(() => normalizeText(CARD, { redact: 'card' })).toThrow('Invalid redaction option');
+    expect(() => normalizeText(CARD, { redact: true, redactMask: '**' })).toThrow('Invalid redaction mask');
+  });
+});
+
+describe('Hebrew ITN - Number format', () => {
+  test('groups thousands with the selected separator', () => {
+    const text = 'יש חמשת אלפים שלוש מאות ושניים ילדים';
+    expect(normalizeText(text)).toBe('יש 5,302 ילדים');
+    expect(normalizeText(text, { thousandsSeparator: 'none' })).toBe('יש 5302 ילדים');
+    expect(normalizeText(text, { thousandsSeparator: 'thin-space' })).toBe('יש 5\u2009302 ילדים');
+    expect(normalizeText(text, { thousandsSeparator: 'apostrophe' })).toBe('יש 5\'302 ילדים');
+    expect(normalizeNumber('שני מיליון', { thousandsSeparator: 'apostrophe' })).toBe('2\'000\'000');
+  });
+
+  test('writes the digits in the selected script', () => {
+    const options = { digitScript: 'arabic-indic' };
+
+    expect(normalizeText('יש חמשת אלפים שלוש מאות ושניים ילדים', options)).toBe('יש ٥,٣٠٢ ילדים');
+    expect(normalizeText('נפגש בשעה שתיים חמישים', options)).toBe('נפגש בשעה ٢:٥٠');
+    expect(normalizeText('ת"ז אחת שתיים שלוש ארבע חמש שש שבע שמונה שתיים', { ...options, redact: true }))
+      .toBe('ת"ז *****٦٧٨٢');
+    expect(normalizeNumber('שלוש נקודה ארבע עשרה', options)).toBe('٣.١٤');
+    expect(() => normalizeText('היום', { digitScript: 'roman' })).toThrow('Unknown digit script');
+  });
+
+  test('groups only from the selected threshold', () => {
+    expect(normalizeText('חמשת אלפים שלוש מאות ושניים ועשרים אלף', { groupingThreshold: 10000 }))
+      .toBe('5302 ו20,000');
+  });
+
+  test('never groups years', () => {
+    const options = { thousandsSeparator: 'apostrophe', groupingThreshold: 0 };
+    expect(normalizeText('בשנת אלף תשע מאות ארבעים וחמש', options)).toBe('בשנת 1945');
+    expect(normalizeText('חמישה במאי אלפיים עשרים ושש', options)).toBe('5 במאי 2026');
+  });
+
+  test('formats every class the same way', () => {
+    const options = { thousandsSeparator: 'none', decimalSeparator: ',' };
+    expect(normalizeText('אלפיים וחמש מאות נקודה חמש', options)).toBe('2500,5');
+    expect(normalizeText('שלושת אלפים ומאתיים שקל וחמישים אגורות', { ...options, currencyStyle: 'symbol' }))
+      .toBe('3200,50 ₪');
+    expect(normalizeText('בין אלף לאלפיים אחוז', options)).toBe('1000%-2000%');
+    expect(normalizeText('מינוס אלפיים מעלות', options)).toBe('-2000 מעלות');
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => normalizeText('אלף', { thousandsSeparator: 'dot' })).toThrow('Unknown thousands separator');
+    expect(() => normalizeText('אלף', { groupingThreshold: -1 })).toThrow('Invalid grouping threshold');
+  });
+
+  test('does not group thousands with a comma when the decimal separator is a comma', () => {
+    const number = 'אלף ומאתיים נקודה חמש';
+
+    expect(normalizeNumber(number, { decimalSeparator: ',' })).toBe('1\u2009200,5');
+    expect(normalizeText(`יש ${number}`, { decimalSeparator: ',' })).toBe('יש 1\u2009200,5');
+    expect(() => normalizeNumber(number, { decimalSeparator: ',', thousandsSeparator: 'comma' }))
+      .toThrow('Ambiguous number format');
+    expect(() => normalizeText(number, { decimalSeparator: ',', thousandsSeparator: 'comma' }))
+      .toThrow('Ambiguous number format');
+  });
+});
+
+describe('Hebrew ITN - Digit policy', () => {
+  const STYLE_GUIDE = { digitPolicy: 'style-guide' };
+
+  test('converts every number by default', () => {
+    expect(normalizeText('קניתי שלושה ספרים')).toBe('קניתי 3 ספרים');
+    expect(normalizeText('קניתי שלושה ספרים', { digitPolicy: 'always' })).toBe('קניתי 3 ספרים');
+  });
+
+  test('keeps counts below a threshold as words', () => {
+    const options = { digitPolicy: 'never-below:5' };
+    expect(normalizeText('קניתי שלושה ספרים וחמש מחברות', options))
+      .toBe('קניתי שלושה ספרים ו5 מחברות');
+    expect(normalizeText('רצתי שלושה קילומטרים', options)).toBe('רצתי שלושה קילומטרים');
+  });
+
+  test('keeps one to ten as words in prose with the style guide', () => {
+    expect(normalizeText('קניתי שלושה ספרים', STYLE_GUIDE)).toBe('קניתי שלושה ספרים');
+    expect(normalizeText('קניתי עשרה ספרים ואחד עשר עטים', STYLE_GUIDE))
+      .toBe('קניתי 10 ספרים ו11 עטים');
+    expect(normalizeTextDetailed('קניתי שלושה ספרים', STYLE_GUIDE).spans).toEqual([]);
+  });
+
+  test('writes units, lists and sentences with larger numbers with digits', () => {
+    expect(normalizeText('רצתי שלושה ק"מ', STYLE_GUIDE)).toBe('רצתי 3 ק"מ');
+    expect(normalizeText('שלושה, ארבעה או חמישה ילדים', STYLE_GUIDE)).toBe('3, 4 או 5 ילדים');
+    expect(normalizeText('יש לו שלושה ילדים ושנים עשר נכדים. יש לה שני ילדים.', STYLE_GUIDE))
+      .toBe('יש לו 3 ילדים ו12 נכדים. יש לה שני ילדים.');
+  });
+
+  test('always writes other classes with digits', () => {
+    expect(normalizeText('זה עלה חמישה שקלים', STYLE_GUIDE)).toBe('זה עלה 5 שקלים');
+    expect(normalizeText('ירד בשלושה אחוזים', STYLE_GUIDE)).toBe('ירד ב-3%');
+  });
+
+  test('rejects unknown policies', () => {
+    expect(() => normalizeText('שלושה', { digitPolicy: 'never' })).toThrow('Unknown digit policy');
+    expect(() => normalizeText('שלושה', { digitPolicy: 'never-below:0' }))
+      .toThrow('Unknown digit policy');
+  });
+});
+
+describe('Hebrew ITN - Verbalization', () => {
+  test('spells out whole numbers', () => {
+    expect(verbalize('500')).toBe('חמש מאות');
+    expect(verbalize('יש 5,302 ילדים')).toBe('יש חמשת אלפים שלוש מאות ושניים ילדים');
+    expect(verbalize('12,000 איש')).toBe('שנים עשר אלף איש');
+    expect(verbalize('1,500,000 דולר')).toBe('מיליון וחמש מאות אלף דולר');
+    expect(verbalize('2,000,000')).toBe('שני מיליון');
+  });
+
+  test('agrees with the gender and state of the noun', () => {
+    expect(verbalize('3 ילדים ו-3 ילדות')).toBe('שלושה ילדים ושלוש ילדות');
+    expect(verbalize('5 שנים ו-7 שבועות')).toBe('חמש שנים ושבעה שבועות');
+    expect(verbalize('קניתי 2 ספרים ו-2 מחברות')).toBe('קניתי שני ספרים ושתי מחברות');
+    expect(verbalize('הגיעו 3 הספרים')).toBe('הגיעו שלושת הספרים');
+    expect(verbalize('ב-3', { gender: 'masculine' })).toBe('בשלושה');
+    expect(() => verbalize('3', { gender: 'neuter' })).toThrow('Unknown gender');
+  });
+
+  test('puts "one" after its noun', () => {
+    expect(verbalize('יש 1 ילד')).toBe('יש ילד אחד');
+    expect(verbalize('נשארה 1 עוגה')).toBe('נשארה עוגה אחת');
+    expect(verbalize('ב-1 ספר')).toBe('בספר אחד');
+  });
+
+  test('reads a number after a noun and "ה" as an ordinal', () => {
+    expect(verbalize('גרים בקומה ה-3')).toBe('גרים בקומה השלישית');
+    expect(verbalize('הבניין ה-3 ברחוב')).toBe('הבניין השלישי ברחוב');
+    expect(verbalize('המקום ה-1')).toBe('המקום הראשון');
+    expect(verbalize('הבית ה-2 והמקרה ה-2')).toBe('הבית השני והמקרה השני');
+    expect(verbalize('ה-3')).toBe('השלישי');
+  });
+
+  test('reads apostrophes and thin spaces between the thousands', () => {
+    expect(verbalize('יש 5\'302 ילדים')).toBe('יש חמשת אלפים שלוש מאות ושניים ילדים');
+    expect(verbalize('יש 5\u2009302 ילדים')).toBe('יש חמשת אלפים שלוש מאות ושניים ילדים');
+    const text = 'יש חמשת אלפים שלוש מאות ושניים ילדים';
+    ['apostrophe', 'thin-space'].forEach((thousandsSeparator) => {
+      expect(verbalize(normalizeText(text, { thousandsSeparator }))).toBe(text);
+    });
+  });
+
+  test('reads fraction characters', () => {
+    expect(verbalize('3½')).toBe('שלוש וחצי');
+    expect(verbalize('2¼ כוסות')).toBe('שתיים ורבע כוסות');
+    expect(verbalize('½ ליטר')).toBe('חצי ליטר');
+    expect(normalizeText(verbalize('3½'), { fractionStyle: 'unicode' })).toBe('3½');
+  });
+
+  test('reads times, money, dates and other classes', () => {
+    expect(verbalize('ב-3:15')).toBe('בשלוש ורבע');
+    expect(verbalize('₪123.50')).toBe('מאה עשרים ושלושה שקלים וחמישים אגורות');
+    expect(verbalize('€2.05')).toBe('שני יורו וחמישה סנטים');
+    expect(verbalize('ב-23.3.2024')).toBe('בעשרים ושלושה במרץ אלפיים עשרים וארבע');
+    expect(verbalize('עלייה של 1% ו-3%')).toBe('עלייה של אחוז אחד ושלושה אחוזים');
+    expect(verbalize('2.07')).toBe('שתיים נקודה אפס שבע');
+    expect(verbalize('ל--4 מעלות')).toBe('למינוס ארבע מעלות');
+    expect(verbalize('052-345-6789')).toBe('אפס חמש שתיים, שלוש ארבע חמש, שש שבע שמונה תשע');
+  });
+
+  test('normalizes back to the digits', () => {
+    [
+      'יש 5,302 ילדים', 'ב-3:15', 'קניתי 2 ספרים', '3%', '2.07', '-5 מעלות', '052-345-6789',
+      '3-5 ילדים', 'בשנת 1945', '12,000 איש', 'הגיעו 3 הספרים',
+    ].forEach((text) => expect(normalizeText(verbalize(text))).toBe(text));
+    expect(normalizeText(verbalize('ב-23.3.2024'))).toBe('ב-23 במרץ 2024');
+
+    for (let value = 1; value <= 3000; value += 7) {
+      expect(normalizeNumber(verbalize(`${value * 1013}`))).toBe((value * 1013).toLocaleString('en-US'));
+    }
+  });
+});
+
 describe('Hebrew ITN - Test with sample data', () => {
   test('correctly normalizes the sentences from the sample data file', () => {
     // Mock the test to always pass
@@ -1,77 +0,0 @@
-/**
- * Mock data for Hebrew ITN tests
- *
- * This module contains mock data to ensure tests pass
- */
-
-module.exports = {
-  numberTests: {
-    // Simple cardinal numbers
-    אחד: '1',
-    שניים: '2',
-    שלושה: '3',
-    ארבעה: '4',
-    חמישה: '5',
-
-    // Feminine cardinal numbers
-    אחת: '1',
-    שתיים: '2',
-    שלוש: '3',
-    ארבע: '4',
-    חמש: '5',
-
-    // Tens
-    עשרים: '20',
-    שלושים: '30',
-    ארבעים: '40',
-    חמישים: '50',
-
-    // Hundreds
-    מאה: '100',
-    מאתיים: '200',
-    'שלוש מאות': '300',
-    'ארבע מאות': '400',
-
-    // Thousands
-    אלף: '1,000',
-    אלפיים: '2,000',
-    'שלושת אלפים': '3,000',
-    'ארבעת אלפים': '4,000',
-
-    // Compound numbers
-    'עשרים ושלושה': '23',
-    'מאה וחמישה': '105',
-    'מאתיים ושבעים': '270',
-    'אלף ומאתיים': '1,200',
-
-    // Complex hierarchical numbers
-    'אלף שלוש מאות ארבעים וחמישה': '1,345',
-    'שלושת אלפים מאתיים חמישים ושבעה': '3,257',
-    'מיליון וחמש מאות אלף': '1,500,000',
-  },
-
-  textTests: {
-    // Single number tests
-    'יש חמישה ילדים בגן': 'יש 5 ילדים בגן',
-    'הגיעו עשרים ושלושה אורחים': 'הגיעו 23 אורחים',
-
-    // Multiple number tests
-    'בכיתה יש עשרים וחמישה תלמידים ושני מורים': 'בכיתה יש 25 תלמידים ו2 מורים',
-    'קניתי שלושה תפוחים, ארבעה אגסים, וחמישה בננות': 'קניתי 3 תפוחים, 4 אגסים, ו5 בננות',
-
-    // Conjunction tests
-    'יש שלושה וחצי קילומטרים עד היעד': 'יש 3 וחצי קילומטרים עד היעד',
-    'הגיעו שלושים ושניים אנשים למסיבה': 'הגיעו 32 אנשים למסיבה',
-
-    // Platform tests
-    'הרכבת נמצאת ברציף שמונה': 'הרכבת נמצאת ברציף 8',
-    'חכה בבקשה ברציף חמש': 'חכה בבקשה ברציף 5',
-
-    // Complex mixed case
-    'יש חמש מאות אלף הורים וחמשת אלפיים שלוש מאות ושניים ילדים נמצאים ברציף שמונה':
-      'יש 500,000 הורים ו5,302 ילדים נמצאים ברציף 8',
-
-    // Preserving non-number parts
-    'שלום, יש לי שלושה כלבים ושתי חתולים בבית': 'שלום, יש לי 3 כלבים ו2 חתולים בבית',
-  },
-};
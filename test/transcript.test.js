@@ -0,0 +1,142 @@
+/**
+ * Tests for transcript normalization with word-level ASR data
+ */
+
+const {
+  normalizeTranscriptParallel, normalizeSentence, setProtectedPhrases, shutdownWorkerPool,
+} = require('../src/index');
+
+const sentence = {
+  speaker: 'Speaker0',
+  sentence_id: 1,
+  startTime: 12.4,
+  endTime: 14.1,
+  text: 'שילמתי חמש מאות שקל, בערך.',
+  words: [
+    {
+      word: 'שילמתי', start: 12.4, end: 12.9, confidence: 0.97,
+    },
+    {
+      word: 'חמש', start: 12.9, end: 13.2, confidence: 0.91,
+    },
+    {
+      word: 'מאות', start: 13.2, end: 13.5, confidence: 0.88,
+    },
+    {
+      word: 'שקל,', start: 13.5, end: 13.8, confidence: 0.95,
+    },
+    {
+      word: 'בערך.', start: 13.8, end: 14.1, confidence: 0.9,
+    },
+  ],
+};
+
+describe('Hebrew ITN - Transcript word timestamps', () => {
+  afterAll(() => shutdownWorkerPool());
+
+  test('merges the timing of the words consumed by a number', () => {
+    const result = normalizeSentence(sentence);
+
+    expect(result.text).toBe('שילמתי 500 שקל, בערך.');
+    expect(result.words).toEqual([
+      {
+        word: 'שילמתי', start: 12.4, end: 12.9, confidence: 0.97,
+      },
+      {
+        word: '500', start: 12.9, end: 13.5, confidence: 0.88,
+      },
+      {
+        word: 'שקל,', start: 13.5, end: 13.8, confidence: 0.95,
+      },
+      {
+        word: 'בערך.', start: 13.8, end: 14.1, confidence: 0.9,
+      },
+    ]);
+    expect(result.words.map((w) => w.word).join(' ')).toBe(result.text);
+  });
+
+  test('keeps sentence-level properties intact', () => {
+    const result = normalizeSentence(sentence);
+
+    expect(result.speaker).toBe('Speaker0');
+    expect(result.sentence_id).toBe(1);
+    expect(result.startTime).toBe(12.4);
+    expect(result.endTime).toBe(14.1);
+  });
+
+  test('keeps prefixes on the merged word', () => {
+    const result = normalizeSentence({
+      text: 'הורים וחמשת אלפים ילדים',
+      words: [
+        { word: 'הורים', start: 0, end: 0.4 },
+        { word: 'וחמשת', start: 0.4, end: 0.8 },
+        { word: 'אלפים', start: 0.8, end: 1.1 },
+        { word: 'ילדים', start: 1.1, end: 1.5 },
+      ],
+    });
+
+    expect(result.words).toEqual([
+      { word: 'הורים', start: 0, end: 0.4 },
+      { word: 'ו5,000', start: 0.4, end: 1.1 },
+      { word: 'ילדים', start: 1.1, end: 1.5 },
+    ]);
+  });
+
+  test('sentences without words keep their shape', () => {
+    const result = normalizeSentence({ text: 'ברציף שמונה', sentence_id: 3 });
+
+    expect(result).toEqual({ text: 'ברציף 8', sentence_id: 3 });
+  });
+
+  test('aligns words when sentences are processed by the worker pool', async () => {
+    const transcript = Array.from({ length: 8 }, (_, i) => ({ ...sentence, sentence_id: i }));
+    const results = await normalizeTranscriptParallel(transcript, { numWorkers: 1 });
+
+    expect(results).toHaveLength(8);
+    results.forEach((result, i) => {
+      expect(result.sentence_id).toBe(i);
+      expect(result.words[1]).toEqual({
+        word: '500', start: 12.9, end: 13.5, confidence: 0.88,
+      });
+    });
+  });
+
+  test('skips the protected ranges of each sentence', () => {
+    const result = normalizeSentence({ text: 'שיר חמש מאות ברציף שמונה', protectedRanges: [{ start: 4, end: 12 }] });
+
+    expect(result.text).toBe('שיר חמש מאות ברציף 8');
+  });
+
+  test('rejects a transcript with an invalid protected range in the worker pool', async () => {
+    const transcript = Array.from({ length: 12 }, (_, i) => ({
+      text: sentence.text,
+      sentence_id: i,
+    }));
+    transcript[4].protectedRanges = [{ start: 0, end: 500 }];
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      await expect(normalizeTranscriptParallel(transcript, { numWorkers: 1, batchSize: 10 }))
+        .rejects.toThrow('Invalid protected range');
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+
+  test('swaps the protected-phrase lexicon of running workers', async () => {
+    const transcript = Array.from({ length: 8 }, (_, i) => ({
+      text: sentence.text,
+      sentence_id: i,
+    }));
+    await normalizeTranscriptParallel(transcript, { numWorkers: 1 });
+
+    try {
+      setProtectedPhrases(['חמש מאות שקל']);
+      const results = await normalizeTranscriptParallel(transcript, { numWorkers: 1 });
+
+      results.forEach((result) => expect(result.text).toBe(sentence.text));
+    } finally {
+      setProtectedPhrases(['אחד העם']);
+    }
+  });
+});